@@ -1,12 +1,22 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { Pass } from 'three/addons/postprocessing/Pass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
 
 // Scene
 const scene = new THREE.Scene();
@@ -18,7 +28,8 @@ const camera = new THREE.PerspectiveCamera(45, canvas.clientWidth / canvas.clien
 camera.position.set(-0.3, 0.3, 0.5);
 
 // Renderer
-const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+// alpha lets still renders export a transparent background; the scene background keeps the viewport opaque
+const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
 renderer.setSize(canvas.clientWidth, canvas.clientHeight);
 renderer.shadowMap.enabled = true;
 renderer.shadowMap.type = THREE.BasicShadowMap;
@@ -29,6 +40,41 @@ renderer.toneMappingExposure = 1;
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.enableDamping = true;
 
+// Editor-only objects (gizmos, helpers) are kept out of the outliner and picking
+const editorHelpers = new Set();
+
+// Transform Gizmo
+const transformControls = new TransformControls(camera, renderer.domElement);
+transformControls.addEventListener('dragging-changed', (e) => {
+  controls.enabled = !e.value;
+});
+let transformStart = null;
+transformControls.addEventListener('mouseDown', () => {
+  const object = transformControls.object;
+  transformStart = [object.position.clone(), object.quaternion.clone(), object.scale.clone()];
+});
+transformControls.addEventListener('mouseUp', () => {
+  const object = transformControls.object;
+  const before = transformStart;
+  const after = [object.position.clone(), object.quaternion.clone(), object.scale.clone()];
+  // A click on the gizmo without a drag changes nothing
+  if (before.every((value, i) => value.equals(after[i]))) return;
+  const setTransform = ([position, quaternion, scale]) => {
+    object.position.copy(position);
+    object.quaternion.copy(quaternion);
+    object.scale.copy(scale);
+    transformControls.dispatchEvent({ type: 'objectChange' });
+  };
+  pushHistory({
+    label: `${transformControls.mode[0].toUpperCase() + transformControls.mode.slice(1)} ${object.name || object.type}`,
+    undo: () => setTransform(before),
+    redo: () => setTransform(after)
+  });
+});
+const transformHelper = transformControls.getHelper();
+editorHelpers.add(transformHelper);
+scene.add(transformHelper);
+
 // Post Processing
 const composer = new EffectComposer(renderer);
 
@@ -36,6 +82,56 @@ const composer = new EffectComposer(renderer);
 const renderPass = new RenderPass(scene, camera);
 composer.addPass(renderPass);
 
+// Wireframe drawn over the shaded image, depth-tested against it (see DEBUG VIEWS)
+class WireframeOverlayPass extends Pass {
+  constructor(scene, camera) {
+    super();
+    this.scene = scene;
+    this.camera = camera;
+    this.needsSwap = false;
+    this.enabled = false;
+    this.material = new THREE.MeshBasicMaterial({ color: 0x000000, wireframe: true, transparent: true, opacity: 0.5 });
+  }
+  
+  render(renderer, writeBuffer, readBuffer) {
+    const { background, overrideMaterial } = this.scene;
+    const autoClear = renderer.autoClear;
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    const visibleHelpers = [...editorHelpers].filter(h => h.visible);
+    
+    // Only the meshes: no background over the image, no gizmo wires, shadows are already drawn
+    this.scene.background = null;
+    this.scene.overrideMaterial = this.material;
+    renderer.autoClear = false;
+    renderer.shadowMap.autoUpdate = false;
+    visibleHelpers.forEach(h => h.visible = false);
+    
+    renderer.setRenderTarget(this.renderToScreen ? null : readBuffer);
+    renderer.render(this.scene, this.camera);
+    
+    this.scene.background = background;
+    this.scene.overrideMaterial = overrideMaterial;
+    renderer.autoClear = autoClear;
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    visibleHelpers.forEach(h => h.visible = true);
+  }
+}
+
+const wireframePass = new WireframeOverlayPass(scene, camera);
+composer.addPass(wireframePass);
+
+// Selection Outline
+const outlinePass = new OutlinePass(
+  new THREE.Vector2(canvas.clientWidth, canvas.clientHeight),
+  scene,
+  camera
+);
+outlinePass.edgeStrength = 4;
+outlinePass.edgeThickness = 1;
+outlinePass.visibleEdgeColor.set(0xffa500);
+outlinePass.hiddenEdgeColor.set(0x8a5a00);
+composer.addPass(outlinePass);
+
 // Color Correction Shader
 const ColorCorrectionShader = {
   uniforms: {
@@ -117,32 +213,229 @@ dirLight.shadow.camera.top = 10;
 dirLight.shadow.camera.bottom = -10;
 scene.add(dirLight);
 
+// Events for the public API (see PUBLIC API at the end of this file)
+const sceneEvents = new EventTarget();
+
+function emitSceneEvent(type, detail) {
+  sceneEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// Deep links: ?models=a.glb,b.glb&hdr=/img/sky.hdr&settings=look.json&preset=Dusk&bookmark=Gate
+// The same keys work in the hash, which wins over the query. models and hdr are only read on
+// page load; settings, preset and bookmark are applied again whenever the hash changes.
+function getURLParams() {
+  const params = new URLSearchParams(location.search);
+  new URLSearchParams(location.hash.slice(1)).forEach((value, key) => params.set(key, value));
+  return params;
+}
+
+const urlParams = getURLParams();
+
+// ============================================
+// LOADING
+// ============================================
+
+// Every model and HDR download goes through one queue shown above the settings panel.
+// A load's promise settles once it finishes, is cancelled or its error is dismissed;
+// failed loads wait in the queue for a retry.
+const loadQueue = new Set(); // { name, url, status: 'loading' | 'error', controller, attempt, row, ... }
+
+function formatBytes(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+async function fetchWithProgress(url, signal, onProgress) {
+  // Revalidate so reloading a model picks up a newer file on the server
+  const response = await fetch(url, { signal, cache: 'no-cache' });
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText || 'error'} for ${url}`);
+  
+  const total = parseInt(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(loaded, total);
+  }
+  
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes.buffer;
+}
+
+function createLoadRow(entry) {
+  const row = document.createElement('div');
+  row.className = 'load-item';
+  
+  const header = document.createElement('div');
+  header.className = 'load-header';
+  const name = document.createElement('span');
+  name.className = 'load-name';
+  name.textContent = entry.name;
+  name.title = entry.url;
+  header.appendChild(name);
+  
+  const addButton = (text, title, onClick) => {
+    const button = document.createElement('span');
+    button.className = 'load-action';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    header.appendChild(button);
+    return button;
+  };
+  entry.retryButton = addButton('↻', 'Retry', () => entry.retry());
+  entry.dismissButton = addButton('×', 'Dismiss', () => entry.dismiss());
+  entry.cancelButton = addButton('×', 'Cancel', () => entry.controller.abort());
+  row.appendChild(header);
+  
+  const bar = document.createElement('div');
+  bar.className = 'load-bar';
+  entry.barFill = document.createElement('div');
+  entry.barFill.className = 'load-bar-fill';
+  bar.appendChild(entry.barFill);
+  row.appendChild(bar);
+  
+  entry.statusText = document.createElement('div');
+  entry.statusText.className = 'load-status';
+  row.appendChild(entry.statusText);
+  
+  document.getElementById('load-queue').appendChild(row);
+  return row;
+}
+
+function updateLoadRow(entry, loaded, total) {
+  const error = entry.status === 'error';
+  entry.row.classList.toggle('error', error);
+  entry.retryButton.style.display = error ? '' : 'none';
+  entry.dismissButton.style.display = error ? '' : 'none';
+  entry.cancelButton.style.display = error ? 'none' : '';
+  
+  if (error) {
+    entry.statusText.textContent = entry.error.message;
+  } else if (total > 0) {
+    entry.barFill.style.width = Math.min(loaded / total * 100, 100) + '%';
+    entry.statusText.textContent = `${formatBytes(loaded)} / ${formatBytes(total)}`;
+  } else {
+    entry.statusText.textContent = loaded > 0 ? formatBytes(loaded) : 'Waiting…';
+  }
+}
+
+// parse(buffer) turns the downloaded bytes into the loaded asset and may be async
+function queueLoad(name, url, parse) {
+  return new Promise((resolve, reject) => {
+    const entry = { name, url, status: 'loading', controller: null, attempt: null, error: null };
+    entry.row = createLoadRow(entry);
+    loadQueue.add(entry);
+    
+    const finish = () => {
+      loadQueue.delete(entry);
+      entry.row.remove();
+    };
+    
+    const start = () => {
+      entry.status = 'loading';
+      entry.barFill.style.width = '0%';
+      entry.controller = new AbortController();
+      const { signal } = entry.controller;
+      updateLoadRow(entry, 0, 0);
+      
+      entry.attempt = fetchWithProgress(url, signal, (loaded, total) => {
+        updateLoadRow(entry, loaded, total);
+        emitSceneEvent('progress', { url, loaded, total });
+      })
+        .then(buffer => {
+          entry.statusText.textContent = 'Processing…';
+          return parse(buffer);
+        })
+        .then(result => {
+          // Cancelled while parsing: drop the result
+          if (signal.aborted) throw signal.reason;
+          finish();
+          resolve(result);
+        })
+        .catch(err => {
+          if (signal.aborted) {
+            finish();
+            reject(new Error(`Loading ${name} was cancelled`));
+            return;
+          }
+          entry.status = 'error';
+          entry.error = err;
+          updateLoadRow(entry);
+          emitSceneEvent('loaderror', { name, url, message: err.message });
+        });
+    };
+    
+    entry.retry = start;
+    entry.dismiss = () => {
+      finish();
+      reject(entry.error);
+    };
+    start();
+  });
+}
+
+// Resolves when nothing is downloading; failed loads waiting for a retry don't count
+async function waitForLoads() {
+  let loading;
+  while ((loading = [...loadQueue].filter(e => e.status === 'loading')).length > 0) {
+    await Promise.allSettled(loading.map(e => e.attempt));
+  }
+}
+
 // HDR Environment
 let envMap = null;
 let currentHdrName = 'klippad_sunrise_2_1k.hdr';
+let currentHdrSource = '/img/klippad_sunrise_2_1k.hdr'; // URL or the original File/Blob, kept for project export
 
-function loadHDR(url, filename) {
-  new RGBELoader().load(url, (hdr) => {
-    hdr.mapping = THREE.EquirectangularReflectionMapping;
-    scene.environment = hdr;
-    envMap = hdr;
-    
-    // Apply current intensity and rotation
-    const intensitySlider = document.getElementById('hdr-intensity');
-    const rotationSlider = document.getElementById('hdr-rotation');
-    if (intensitySlider) scene.environmentIntensity = parseFloat(intensitySlider.value);
-    if (rotationSlider) scene.environmentRotation.y = parseFloat(rotationSlider.value) * Math.PI / 180;
-    
-    // Update filename display
-    if (filename) {
-      currentHdrName = filename;
-      document.getElementById('hdr-filename').textContent = filename;
+function loadHDR(url, filename, source = url) {
+  return queueLoad(filename, url, async (buffer) => {
+    // RGBELoader only loads from a URL, but the bytes are already here
+    const bufferUrl = URL.createObjectURL(new Blob([buffer]));
+    try {
+      return await new RGBELoader().loadAsync(bufferUrl);
+    } finally {
+      URL.revokeObjectURL(bufferUrl);
     }
+  }).then((hdr) => {
+    onHDRLoaded(hdr, filename, source);
+    emitSceneEvent('hdrload', { name: filename });
+    return hdr;
   });
 }
 
-// Load default HDR
-loadHDR('/img/klippad_sunrise_2_1k.hdr', 'klippad_sunrise_2_1k.hdr');
+function onHDRLoaded(hdr, filename, source) {
+  hdr.mapping = THREE.EquirectangularReflectionMapping;
+  if (envMap) envMap.dispose();
+  scene.environment = hdr;
+  envMap = hdr;
+  currentHdrSource = source;
+  if (document.getElementById('hdr-background').checked) scene.background = hdr;
+  
+  // Apply current intensity and rotation
+  const intensitySlider = document.getElementById('hdr-intensity');
+  const rotationSlider = document.getElementById('hdr-rotation');
+  if (intensitySlider) scene.environmentIntensity = parseFloat(intensitySlider.value);
+  if (rotationSlider) scene.environmentRotation.y = parseFloat(rotationSlider.value) * Math.PI / 180;
+  
+  // Update filename display
+  if (filename) {
+    currentHdrName = filename;
+    document.getElementById('hdr-filename').textContent = filename;
+  }
+}
+
+// Load default HDR (or the one from the URL)
+const initialHdr = urlParams.get('hdr') || '/img/klippad_sunrise_2_1k.hdr';
+loadHDR(initialHdr, initialHdr.split('/').pop()).catch(() => {}); // Failures are shown in the load queue
 
 // HDR file upload
 document.getElementById('btn-load-hdr').addEventListener('click', () => {
@@ -154,181 +447,1024 @@ document.getElementById('hdr-file-input').addEventListener('change', (e) => {
   if (!file) return;
   
   const url = URL.createObjectURL(file);
-  loadHDR(url, file.name);
+  // Failures are shown in the load queue
+  loadHDR(url, file.name, file)
+    .catch(() => {})
+    .finally(() => URL.revokeObjectURL(url));
   e.target.value = '';
 });
 
-// Stats tracking
-const stats = {
+// Stats tracking, recounted from the loaded models whenever one is added, replaced or removed
+let stats = {
   triangles: 0,
   materials: new Set(),
   textures: new Set(),
   textureSize: 0
 };
 
+// GPU memory of a texture in MB. Compressed textures (KTX2/Basis) are measured from their
+// transcoded mip levels; anything else is assumed to be uploaded as RGBA8.
+function getTextureSize(texture) {
+  if (texture.isCompressedTexture && texture.mipmaps && texture.mipmaps.length > 0) {
+    return texture.mipmaps.reduce((sum, mip) => sum + mip.data.byteLength, 0) / (1024 * 1024);
+  }
+  const img = texture.image;
+  if (!img || !img.width) return 0;
+  return (img.width * img.height * 4) / (1024 * 1024);
+}
+
+// Triangle, material and texture totals for the given roots
+function gatherStats(roots, onlyVisible) {
+  const result = { triangles: 0, materials: new Set(), textures: new Set(), textureSize: 0 };
+  
+  const visit = (object) => {
+    if (onlyVisible && !object.visible) return;
+    
+    if (object.isMesh) {
+      const geometry = object.geometry;
+      if (geometry.index) result.triangles += geometry.index.count / 3;
+      else if (geometry.attributes.position) result.triangles += geometry.attributes.position.count / 3;
+      
+      const mats = Array.isArray(object.material) ? object.material : [object.material];
+      mats.forEach(mat => {
+        result.materials.add(mat);
+        Object.values(mat).forEach(value => {
+          if (!value || !value.isTexture || result.textures.has(value)) return;
+          result.textures.add(value);
+          result.textureSize += getTextureSize(value);
+        });
+      });
+    }
+    object.children.forEach(visit);
+  };
+  roots.forEach(visit);
+  return result;
+}
+
+function recalculateStats() {
+  stats = gatherStats(loadedModels.map(m => m.root), false);
+  updateStats();
+}
+
 // Load Model Logic
-const loader = new GLTFLoader();
+// Decoders for compressed assets are served from public/draco and public/basis
+// (copied from three/examples/jsm/libs)
+const dracoLoader = new DRACOLoader().setDecoderPath('/draco/');
+const ktx2Loader = new KTX2Loader().setTranscoderPath('/basis/').detectSupport(renderer);
+
+function createGLTFLoader(manager) {
+  return new GLTFLoader(manager)
+    .setDRACOLoader(dracoLoader)
+    .setKTX2Loader(ktx2Loader)
+    .setMeshoptDecoder(MeshoptDecoder);
+}
+
+const loader = createGLTFLoader();
+
+const compressionExtensions = {
+  KHR_draco_mesh_compression: 'Draco',
+  EXT_meshopt_compression: 'Meshopt',
+  KHR_meshopt_compression: 'Meshopt',
+  KHR_mesh_quantization: 'Quantized',
+  KHR_texture_basisu: 'KTX2'
+};
+
+// Compression used by a loaded glTF, e.g. ['Draco', 'KTX2']
+function getCompression(gltf) {
+  const used = gltf.parser.json.extensionsUsed || [];
+  return [...new Set(used.filter(ext => compressionExtensions[ext]).map(ext => compressionExtensions[ext]))];
+}
 
 function onModelLoaded(gltf) {
   const model = gltf.scene;
   
-  // Enable shadows and gather stats
+  // Enable shadows
   model.traverse((child) => {
     if (child.isMesh) {
       child.castShadow = true;
       child.receiveShadow = true;
       
-      if (child.geometry.index) {
-        stats.triangles += child.geometry.index.count / 3;
-      } else if (child.geometry.attributes.position) {
-        stats.triangles += child.geometry.attributes.position.count / 3;
-      }
-      
       const mats = Array.isArray(child.material) ? child.material : [child.material];
       mats.forEach(mat => {
-        stats.materials.add(mat);
-        ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap'].forEach(prop => {
-          if (mat[prop]) {
-            stats.textures.add(mat[prop]);
-            if (mat[prop].image) {
-              const img = mat[prop].image;
-              stats.textureSize += (img.width * img.height * 4) / (1024 * 1024);
-            }
-          }
-        });
+        // Restore saved material edits
+        const override = materialOverrides[getMaterialKey(mat)];
+        if (override) applyMaterialOverride(mat, override);
       });
     }
   });
   
+  // Restore the saved placement
+  applyModelTransform(model);
   scene.add(model);
   
+  // Restore saved outliner flags
+  applyObjectOverrides(model);
+  
   // Update UI
+  refreshModels();
+}
+
+// Stats, outliner, material list, model panel and debug materials after the set of models changed
+function refreshModels() {
+  recalculateStats();
   buildSceneTree();
   buildMaterialList();
-  updateStats();
+  buildModelList();
+  rebuildDebugMaterials();
 }
 
+// Loaded model roots with where they came from (a URL or the original File/Blob, kept for project export
+// and reloading). files/resourcePath are kept for a .gltf that was loaded with its external files.
+const loadedModels = []; // { name, root, source, compression, files, resourcePath, clips, mixer, action, ... }
+
 // 1. Load Default Models (Auto-named)
-function loadModel(path) {
-  loader.load(path, (gltf) => {
-    gltf.scene.name = path.split('/').pop();
-    onModelLoaded(gltf);
+// The model only reaches the scene, outliner and stats once it has fully downloaded and parsed.
+// files and a resource path let a .gltf find its external files (see loadFiles).
+// With replace, the new model takes over that model's slot once loaded and the old one is disposed.
+function loadModel(url, name = url.split('/').pop(), source = url, { files, resourcePath, replace } = {}) {
+  const fileManager = files && createFileLoadingManager(files);
+  const gltfLoader = fileManager ? createGLTFLoader(fileManager.manager) : loader;
+  const path = resourcePath ?? THREE.LoaderUtils.extractUrlBase(url);
+  return queueLoad(name, url, buffer => gltfLoader.parseAsync(buffer, path))
+    .finally(() => fileManager && fileManager.revoke())
+    .then((gltf) => {
+      const index = replace ? loadedModels.indexOf(replace) : -1;
+      // A replacement keeps the name it takes over; other loads must not reuse one
+      const modelName = index >= 0 ? name : getUniqueModelName(name);
+      gltf.scene.name = modelName;
+      // Registered first so the outliner can show the model's compression
+      const model = { name: modelName, root: gltf.scene, source, compression: getCompression(gltf), files, resourcePath };
+      setupModelAnimation(model, gltf.animations);
+      if (index >= 0) {
+        releaseModel(replace.root);
+        loadedModels[index] = model;
+      } else {
+        loadedModels.push(model);
+      }
+      onModelLoaded(gltf);
+      emitSceneEvent('modelload', { name: modelName, object: gltf.scene });
+      return gltf.scene;
+    });
+}
+
+// Placement, clip state and outliner paths are keyed by model name, so a second
+// "Building.glb" becomes "Building.glb (2)"
+function getUniqueModelName(name) {
+  const taken = new Set(loadedModels.map(m => m.name));
+  if (!taken.has(name)) return name;
+  let i = 2;
+  while (taken.has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+}
+
+// Frees GPU resources held by a model
+function disposeObject(root) {
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry.dispose();
+    const mats = Array.isArray(child.material) ? child.material : [child.material];
+    mats.forEach(mat => {
+      Object.values(mat).forEach(value => {
+        if (value && value.isTexture) value.dispose();
+      });
+      mat.dispose();
+    });
+  });
+}
+
+// Takes a model root out of the scene, dropping any selection inside it first
+function releaseModel(root) {
+  let object = selectedObject;
+  while (object && object !== root) object = object.parent;
+  if (object) selectObject(null);
+  
+  let ownsMaterial = false;
+  root.traverse((child) => {
+    if (child.isMesh && [].concat(child.material).includes(selectedMaterial)) ownsMaterial = true;
   });
+  if (ownsMaterial) {
+    selectedMaterial = null;
+    updateMaterialInspector(null);
+    showTextureInspector(null);
+  }
+  
+  // Downscale previews would leave their originals behind undisposed
+  resetTexturePreviews();
+  
+  scene.remove(root);
+  disposeObject(root);
 }
 
-loadModel('/models/DiriyahMaquette.glb');
-loadModel('/models/DiriyahMaquetteFoliage.glb');
+function clearModels() {
+  loadedModels.forEach(({ root }) => releaseModel(root));
+  loadedModels.length = 0;
+  refreshModels();
+}
 
+// Model Panel
+// Root placement per model name, so it survives reloads, replacements and saved settings
+let modelTransforms = {}; // name -> { position, rotation (radians), scale }
 
-// 2. Setup GLB Import Button
-document.getElementById('btn-import-glb').addEventListener('click', () => {
-  document.getElementById('glb-file-input').click();
+function applyModelTransform(root) {
+  const transform = modelTransforms[root.name];
+  root.position.fromArray(transform?.position || [0, 0, 0]);
+  root.rotation.fromArray(transform?.rotation || [0, 0, 0]);
+  root.scale.fromArray(transform?.scale || [1, 1, 1]);
+}
+
+// Identity transforms are left out to keep settings files short
+function storeModelTransform(model) {
+  const { root } = model;
+  const isIdentity = root.position.lengthSq() === 0 &&
+    root.rotation.x === 0 && root.rotation.y === 0 && root.rotation.z === 0 &&
+    root.scale.x === 1 && root.scale.y === 1 && root.scale.z === 1;
+  if (isIdentity) {
+    delete modelTransforms[model.name];
+  } else {
+    modelTransforms[model.name] = {
+      position: root.position.toArray(),
+      rotation: [root.rotation.x, root.rotation.y, root.rotation.z],
+      scale: root.scale.toArray()
+    };
+  }
+}
+
+// Saved placements, refreshed from the live roots (undo can move a root that isn't selected)
+function getModelTransforms() {
+  loadedModels.forEach(storeModelTransform);
+  return structuredClone(modelTransforms);
+}
+
+function updateModelTransformInputs(model) {
+  if (!model.transformInputs) return;
+  const { root, transformInputs } = model;
+  transformInputs.position.forEach((input, i) => input.value = root.position.getComponent(i).toFixed(2));
+  transformInputs.rotation.forEach((input, i) => input.value = THREE.MathUtils.radToDeg(root.rotation.toArray()[i]).toFixed(1));
+  transformInputs.scale.forEach((input, i) => input.value = root.scale.getComponent(i).toFixed(2));
+}
+
+// Removing frees the model's GPU resources, so it can't be undone
+function removeModel(model) {
+  if (!confirm(`Remove ${model.name} from the scene?`)) return;
+  const index = loadedModels.indexOf(model);
+  if (index < 0) return;
+  loadedModels.splice(index, 1);
+  releaseModel(model.root);
+  refreshModels();
+}
+
+// Loads the model again from where it came from, e.g. after re-exporting it
+function reloadModel(model) {
+  const url = typeof model.source === 'string' ? model.source : URL.createObjectURL(model.source);
+  return loadModel(url, model.name, model.source, { files: model.files, resourcePath: model.resourcePath, replace: model })
+    .finally(() => {
+      if (url !== model.source) URL.revokeObjectURL(url);
+    });
+}
+
+// Swaps in a new revision under the same name, so material edits, outliner flags and placement carry over
+function replaceModel(model, files) {
+  const entry = files.find(({ path }) => /\.(glb|gltf)$/i.test(path));
+  if (!entry) {
+    alert('Pick a .glb or .gltf file (with its .bin and textures) to replace the model with');
+    return Promise.resolve(null);
+  }
+  const url = URL.createObjectURL(entry.file);
+  return loadModel(url, model.name, entry.file, { files, resourcePath: '', replace: model })
+    .finally(() => URL.revokeObjectURL(url));
+}
+
+let modelToReplace = null;
+
+document.getElementById('replace-file-input').addEventListener('change', (e) => {
+  const files = [...e.target.files].map(file => ({ file, path: file.name }));
+  if (modelToReplace && files.length > 0) replaceModel(modelToReplace, files).catch(() => {});
+  modelToReplace = null;
+  e.target.value = '';
 });
 
-document.getElementById('glb-file-input').addEventListener('change', (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
+function buildModelList() {
+  const list = document.getElementById('model-list');
+  list.innerHTML = '';
+  if (loadedModels.length === 0) {
+    list.innerHTML = '<div class="inspector-empty">No models loaded</div>';
+    return;
+  }
+  loadedModels.forEach(model => list.appendChild(createModelCard(model)));
+}
+
+function createModelCard(model) {
+  const card = document.createElement('div');
+  card.className = 'light-card';
   
-  const url = URL.createObjectURL(file);
-  loader.load(url, (gltf) => {
-    onModelLoaded(gltf);
-    URL.revokeObjectURL(url); // Clean up memory
-  }, undefined, (err) => {
-    alert('Error loading GLB: ' + err.message);
+  // Header
+  const header = document.createElement('div');
+  header.className = 'light-card-header';
+  const title = document.createElement('span');
+  title.textContent = model.name;
+  title.title = typeof model.source === 'string' ? model.source : model.source.name || model.name;
+  header.appendChild(title);
+  card.appendChild(header);
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'button-row';
+  const addButton = (text, onClick) => {
+    const button = document.createElement('button');
+    button.className = 'file-btn';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    buttons.appendChild(button);
+  };
+  addButton('Reload', () => reloadModel(model).catch(() => {}));
+  addButton('Replace', () => {
+    modelToReplace = model;
+    document.getElementById('replace-file-input').click();
   });
+  addButton('Remove', () => removeModel(model));
+  card.appendChild(buttons);
+  
+  // Root transform; edits go through the panel's input history like any other field
+  const addRow = (label, prop, step, toValue) => {
+    const row = document.createElement('div');
+    row.className = 'slider-row';
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+    const inputs = ['x', 'y', 'z'].map(axis => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'position-input';
+      input.step = step;
+      input.addEventListener('input', () => {
+        const v = parseFloat(input.value);
+        if (isNaN(v)) return;
+        model.root[prop][axis] = toValue(v);
+        storeModelTransform(model);
+      });
+      row.appendChild(input);
+      return input;
+    });
+    card.appendChild(row);
+    return inputs;
+  };
+  model.transformInputs = {
+    position: addRow('Position', 'position', 0.05, v => v),
+    rotation: addRow('Rotation', 'rotation', 1, v => THREE.MathUtils.degToRad(v)),
+    scale: addRow('Scale', 'scale', 0.05, v => v)
+  };
+  updateModelTransformInputs(model);
+  
+  if (model.mixer) createAnimationControls(model, card);
   
-  e.target.value = ''; // Reset input
+  return card;
+}
+
+// Keep transform fields in sync when a model root is moved with the gizmo
+transformControls.addEventListener('objectChange', () => {
+  const model = loadedModels.find(m => m.root === transformControls.object);
+  if (!model) return;
+  storeModelTransform(model);
+  updateModelTransformInputs(model);
 });
 
-// Build Scene Tree
-function buildSceneTree() {
-  const container = document.getElementById('scene-tree');
-  container.innerHTML = '';
+buildModelList();
+
+// Animation Playback
+// One mixer per animated model; clip state is kept per model name so it survives reloads and saved settings
+let modelAnimations = {}; // name -> { clip, time, playing, loop, speed }
+const animationClock = new THREE.Clock();
+
+function setupModelAnimation(model, clips) {
+  model.clips = clips;
+  model.mixer = clips.length > 0 ? new THREE.AnimationMixer(model.root) : null;
+  model.action = null;
+  if (!model.mixer) return;
   
-  function addNode(object, depth = 0) {
-    const wrapper = document.createElement('div');
-    
-    const div = document.createElement('div');
-    div.className = 'tree-item';
-    if (object.isMesh) div.classList.add('mesh');
-    else if (object.isGroup || object.isObject3D) div.classList.add('group');
-    else if (object.isLight) div.classList.add('light');
-    
-    div.style.paddingLeft = (10 + depth * 12) + 'px';
-    
-    const hasChildren = object.children.length > 0;
-    const toggle = document.createElement('span');
-    toggle.className = 'tree-toggle';
-    toggle.textContent = hasChildren ? '▼' : ' ';
-    div.appendChild(toggle);
-    
-    const name = document.createElement('span');
-    name.textContent = ' ' + (object.name || object.type);
-    div.appendChild(name);
-    
-    wrapper.appendChild(div);
-    
-    if (hasChildren) {
-      const childrenDiv = document.createElement('div');
-      childrenDiv.className = 'tree-children';
-      
-      object.children.forEach(child => {
-        childrenDiv.appendChild(addNode(child, depth + 1));
-      });
-      
-      wrapper.appendChild(childrenDiv);
-      
-      // LOGIC: Collapse if this group only contains Meshes (no other Groups inside)
-      // This keeps the hierarchy open but hides the list of raw geometry elements
-      const hasGroupChildren = object.children.some(c => !c.isMesh && !c.isLight);
-      const startCollapsed = !hasGroupChildren;
+  // A clip played once stops on its last frame
+  model.mixer.addEventListener('finished', () => {
+    const state = getAnimationState(model);
+    state.playing = false;
+    state.time = model.action.getClip().duration;
+    updateAnimationInputs(model);
+  });
+  applyModelAnimation(model);
+}
 
-      if (startCollapsed) {
-        childrenDiv.classList.add('collapsed');
-      }
+// Slowest playback the speed slider offers; loaded settings can't go below it either
+const minAnimationSpeed = 0.1;
 
-      // Set initial arrow icon
-      toggle.textContent = startCollapsed ? '▶' : '▼';
-      
-      toggle.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const isCollapsed = childrenDiv.classList.toggle('collapsed');
-        toggle.textContent = isCollapsed ? '▶' : '▼';
-      });
-    }
-    
-    return wrapper;
-  }
+// New models start playing their first clip in a loop
+function getAnimationState(model) {
+  let state = modelAnimations[model.name];
+  if (!state) state = modelAnimations[model.name] = { clip: model.clips[0].name, time: 0, playing: true, loop: true, speed: 1 };
+  if (!model.clips.some(c => c.name === state.clip)) state.clip = model.clips[0].name;
+  return state;
+}
+
+// Restarts the model's action from its saved state and poses the model
+function applyModelAnimation(model) {
+  if (!model.mixer) return;
+  const state = getAnimationState(model);
+  const clip = model.clips.find(c => c.name === state.clip);
   
-  scene.children.forEach(child => {
-    container.appendChild(addNode(child));
+  model.mixer.stopAllAction();
+  model.action = model.mixer.clipAction(clip);
+  model.action.setLoop(state.loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+  model.action.clampWhenFinished = true;
+  model.action.play();
+  model.action.paused = !state.playing;
+  model.action.time = Math.min(state.time, clip.duration);
+  model.mixer.timeScale = state.speed;
+  model.mixer.update(0);
+  
+  updateAnimationInputs(model);
+}
+
+// One undo step for a clip, loop or speed change. The model is looked up by name when undoing, since
+// rebuilding the model list replaces both the model card and, after a reload, the model entry.
+function pushAnimationHistory(model, before, label) {
+  const name = model.name;
+  const after = Object.fromEntries(Object.keys(before).map(key => [key, getAnimationState(model)[key]]));
+  const restore = (values) => {
+    const target = loadedModels.find(m => m.name === name);
+    if (target && target.mixer) setAnimationState(target, values);
+  };
+  pushHistory({
+    label: `${label} ${name}`,
+    undo: () => restore(before),
+    redo: () => restore(after)
   });
 }
 
-// Selected material reference
-let selectedMaterial = null;
+function setAnimationState(model, changes) {
+  const state = getAnimationState(model);
+  if (model.action) state.time = model.action.time;
+  Object.assign(state, changes);
+  applyModelAnimation(model);
+}
 
-// Calculate material texture size in MB
-function getMaterialSize(mat) {
-  let size = 0;
-  ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap', 'alphaMap'].forEach(prop => {
-    if (mat[prop] && mat[prop].image) {
-      const img = mat[prop].image;
-      size += (img.width * img.height * 4) / (1024 * 1024);
-    }
+// Saved clip states, with times taken from the running actions
+function getModelAnimations() {
+  loadedModels.forEach(model => {
+    if (model.action) getAnimationState(model).time = model.action.time;
   });
-  return size;
+  return structuredClone(modelAnimations);
 }
 
-// Build Material List
-function buildMaterialList() {
-  const container = document.getElementById('material-list');
-  container.innerHTML = '';
+// Advances every playing clip; called per frame and per exported video frame
+function updateModelAnimations(delta) {
+  loadedModels.forEach(model => {
+    if (!model.action || model.action.paused) return;
+    model.mixer.update(delta);
+    updateAnimationTime(model);
+  });
+}
+
+function updateAnimationTime(model) {
+  if (!model.animationInputs || !model.action) return;
+  const { time, timeValue } = model.animationInputs;
+  const duration = model.action.getClip().duration;
+  time.max = duration;
+  time.value = model.action.time;
+  timeValue.textContent = `${model.action.time.toFixed(1)}s / ${duration.toFixed(1)}s`;
+}
+
+function updateAnimationInputs(model) {
+  if (!model.animationInputs) return;
+  const state = getAnimationState(model);
+  const { clip, play, loop, speed, speedValue } = model.animationInputs;
+  clip.value = state.clip;
+  play.textContent = state.playing ? 'Pause' : 'Play';
+  loop.checked = state.loop;
+  speed.value = state.speed;
+  speedValue.textContent = state.speed.toFixed(2) + '×';
+  updateAnimationTime(model);
+}
+
+// Clip picker, transport and scrub timeline for a model card
+function createAnimationControls(model, card) {
+  const addRow = (label, ...inputs) => {
+    const row = document.createElement('div');
+    row.className = 'slider-row';
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+    inputs.forEach(input => row.appendChild(input));
+    card.appendChild(row);
+  };
   
-  stats.materials.forEach(mat => {
-    const div = document.createElement('div');
-    div.className = 'material-item';
-    
+  const clip = document.createElement('select');
+  model.clips.forEach(c => {
+    const option = document.createElement('option');
+    option.value = c.name;
+    option.textContent = `${c.name} (${c.duration.toFixed(1)}s)`;
+    clip.appendChild(option);
+  });
+  // Transport controls keep their own history (see pushAnimationHistory), not the panel input one
+  clip.dataset.noHistory = '';
+  clip.addEventListener('change', () => {
+    const before = { clip: getAnimationState(model).clip, time: model.action ? model.action.time : 0 };
+    setAnimationState(model, { clip: clip.value, time: 0 });
+    pushAnimationHistory(model, before, 'Change clip of');
+  });
+  
+  const play = document.createElement('button');
+  play.className = 'file-btn';
+  play.addEventListener('click', () => {
+    const state = getAnimationState(model);
+    const atEnd = model.action && !state.loop && model.action.time >= model.action.getClip().duration;
+    setAnimationState(model, atEnd ? { playing: true, time: 0 } : { playing: !state.playing });
+  });
+  addRow('Clip', clip, play);
+  
+  const loop = document.createElement('input');
+  loop.type = 'checkbox';
+  loop.dataset.noHistory = '';
+  loop.addEventListener('change', () => {
+    setAnimationState(model, { loop: loop.checked });
+    pushAnimationHistory(model, { loop: !loop.checked }, 'Toggle loop of');
+  });
+  addRow('Loop', loop);
+  
+  const speed = document.createElement('input');
+  speed.type = 'range';
+  speed.min = minAnimationSpeed;
+  speed.max = 3;
+  speed.step = 0.05;
+  speed.dataset.noHistory = '';
+  const speedValue = document.createElement('span');
+  speedValue.className = 'value';
+  // A whole drag is one step
+  let speedBefore = null;
+  speed.addEventListener('input', () => {
+    if (speedBefore === null) speedBefore = getAnimationState(model).speed;
+    setAnimationState(model, { speed: parseFloat(speed.value) });
+  });
+  speed.addEventListener('change', () => {
+    if (speedBefore === null) return;
+    pushAnimationHistory(model, { speed: speedBefore }, 'Change speed of');
+    speedBefore = null;
+  });
+  addRow('Speed', speed, speedValue);
+  
+  // Scrubbing pauses playback, like the camera path timeline
+  const time = document.createElement('input');
+  time.type = 'range';
+  time.min = 0;
+  time.step = 0.01;
+  time.dataset.noHistory = '';
+  const timeValue = document.createElement('span');
+  timeValue.className = 'value';
+  time.addEventListener('input', () => setAnimationState(model, { time: parseFloat(time.value), playing: false }));
+  addRow('Time', time, timeValue);
+  
+  model.animationInputs = { clip, play, loop, speed, speedValue, time, timeValue };
+  updateAnimationInputs(model);
+}
+
+const initialModels = urlParams.has('models')
+  ? urlParams.get('models').split(',').filter(Boolean)
+  : ['/models/DiriyahMaquette.glb', '/models/DiriyahMaquetteFoliage.glb'];
+initialModels.forEach(url => loadModel(url).catch(() => {}));
+
+
+// 2. Setup GLB Import Button
+// Models, HDRs and settings can also be picked as several files, a folder, or dropped on the viewport
+document.getElementById('btn-import-glb').addEventListener('click', () => {
+  document.getElementById('glb-file-input').click();
+});
+
+document.getElementById('btn-import-folder').addEventListener('click', () => {
+  document.getElementById('folder-file-input').click();
+});
+
+['glb-file-input', 'folder-file-input'].forEach(id => {
+  document.getElementById(id).addEventListener('change', (e) => {
+    const files = [...e.target.files].map(file => ({ file, path: file.webkitRelativePath || file.name }));
+    loadFiles(files);
+    e.target.value = ''; // Reset input
+  });
+});
+
+// "a/b/../c.png" -> "a/c.png"
+function normalizePath(path) {
+  const parts = [];
+  path.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part !== '.' && part !== '') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+// Finds the picked or dropped file a .gltf URI (already resolved against its resource path) points to.
+// Matches the full relative path first, then falls back to the file name.
+function findResourceFile(files, url) {
+  const path = normalizePath(decodeURI(url));
+  const name = path.split('/').pop();
+  return files.find(entry => normalizePath(entry.path) === path) || files.find(entry => entry.file.name === name);
+}
+
+// Serves a .gltf's relative URIs (buffers, textures) from the picked or dropped files.
+// Returns { manager, revoke() }; revoke() frees the file URLs once loading is over.
+function createFileLoadingManager(files) {
+  const urls = new Map(files.map(entry => [entry, URL.createObjectURL(entry.file)]));
+  
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((url) => {
+    if (/^(data|blob):/.test(url)) return url;
+    const entry = findResourceFile(files, url);
+    return entry ? urls.get(entry) : url;
+  });
+  const revoke = () => [...urls.values()].forEach(url => URL.revokeObjectURL(url));
+  return { manager, revoke };
+}
+
+// files: [{ file, path }] with paths relative to the picked folder (or just the file name)
+function loadFiles(files) {
+  const byType = (pattern) => files.filter(({ path }) => pattern.test(path));
+  const models = byType(/\.(glb|gltf)$/i);
+  const hdrs = byType(/\.hdr$/i);
+  const settingsFiles = byType(/\.json$/i);
+  
+  if (models.length + hdrs.length + settingsFiles.length === 0) {
+    alert('Nothing to load: drop .glb/.gltf models (with their .bin and textures), .hdr environments or settings .json');
+    return;
+  }
+  
+  // Failures are shown in the load queue
+  models.forEach(({ file, path }) => {
+    const url = URL.createObjectURL(file);
+    const resourcePath = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+    loadModel(url, file.name, file, { files, resourcePath })
+      .catch(() => {})
+      .finally(() => URL.revokeObjectURL(url)); // Clean up memory
+  });
+  
+  hdrs.forEach(({ file }) => {
+    const url = URL.createObjectURL(file);
+    loadHDR(url, file.name, file)
+      .catch(() => {})
+      .finally(() => URL.revokeObjectURL(url));
+  });
+  
+  // Model folders often hold other JSON: a .json dropped on its own is always loaded (and reported if invalid),
+  // one that comes with other files only when it looks like settings
+  const onlySettings = settingsFiles.length === files.length;
+  settingsFiles.forEach(({ file }) => {
+    file.text()
+      .then((text) => {
+        if (!onlySettings && !isSettingsJSON(text)) return;
+        if (reportSettingsLoad(text, `Settings imported from ${file.name}!`)) clearHistory();
+      })
+      .catch(err => alert(`Could not read ${file.name}: ${err.message}`));
+  });
+}
+
+// Settings files carry a version (v1 files have none, but always hold the panel sliders)
+function isSettingsJSON(text) {
+  try {
+    const json = JSON.parse(text);
+    return !!json && typeof json === 'object' && (typeof json.version === 'number' || 'hdrIntensity' in json || 'exposure' in json);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Folders arrive as directory entries; walk them to collect files with their relative paths
+async function readDroppedEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns results in batches until it yields an empty list
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) break;
+      for (const child of batch) await readDroppedEntry(child, files);
+    }
+  }
+}
+
+canvas.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  canvas.classList.add('drop-target');
+});
+
+canvas.addEventListener('dragleave', () => {
+  canvas.classList.remove('drop-target');
+});
+
+canvas.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  canvas.classList.remove('drop-target');
+  
+  // Entries must be taken synchronously, the DataTransfer is emptied after this handler yields
+  const entries = [...e.dataTransfer.items].map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+  const droppedFiles = [...e.dataTransfer.files];
+  const files = [];
+  try {
+    if (entries.length > 0) {
+      for (const entry of entries) await readDroppedEntry(entry, files);
+    } else {
+      droppedFiles.forEach(file => files.push({ file, path: file.name }));
+    }
+  } catch (err) {
+    alert('Error reading dropped files: ' + err.message);
+    return;
+  }
+  loadFiles(files);
+});
+
+// Object Flags (visibility/shadow overrides keyed by object path)
+let objectOverrides = {};
+
+// Path of names from the scene root, e.g. "DiriyahMaquetteFoliage.glb/Trees/Palm_01"
+function getObjectPath(object) {
+  const parts = [];
+  for (let o = object; o && o !== scene; o = o.parent) {
+    parts.unshift(o.name || o.type + o.parent.children.indexOf(o));
+  }
+  return parts.join('/');
+}
+
+// Flags cascade to every descendant; lights only take visibility
+function setObjectFlags(object, flags) {
+  object.traverse((o) => {
+    if (flags.visible !== undefined) o.visible = flags.visible;
+    if (o.isLight) return;
+    if (flags.castShadow !== undefined) o.castShadow = flags.castShadow;
+    if (flags.receiveShadow !== undefined) o.receiveShadow = flags.receiveShadow;
+  });
+}
+
+function setObjectFlag(object, flag, value) {
+  const path = getObjectPath(object);
+  const previousOverrides = structuredClone(objectOverrides);
+  const previousFlags = [];
+  object.traverse(o => previousFlags.push([o, o.visible, o.castShadow, o.receiveShadow]));
+  
+  // A parent toggle supersedes earlier toggles on its children
+  Object.keys(objectOverrides).forEach(p => {
+    if (p.startsWith(path + '/')) delete objectOverrides[p][flag];
+    if (objectOverrides[p] && Object.keys(objectOverrides[p]).length === 0) delete objectOverrides[p];
+  });
+  
+  if (!objectOverrides[path]) objectOverrides[path] = {};
+  objectOverrides[path][flag] = value;
+  setObjectFlags(object, { [flag]: value });
+  
+  object.traverse(updateTreeFlags);
+  
+  pushHistory({
+    label: `${value ? 'Enable' : 'Disable'} ${flag} on ${object.name || object.type}`,
+    undo: () => {
+      objectOverrides = previousOverrides;
+      previousFlags.forEach(([o, visible, castShadow, receiveShadow]) => {
+        o.visible = visible;
+        o.castShadow = castShadow;
+        o.receiveShadow = receiveShadow;
+      });
+      object.traverse(updateTreeFlags);
+    },
+    redo: () => setObjectFlag(object, flag, value)
+  });
+}
+
+// Apply parents before children so child overrides win
+function applyObjectOverrides(root = scene) {
+  const byPath = new Map();
+  root.traverse(o => {
+    if (o !== scene) byPath.set(getObjectPath(o), o);
+  });
+  
+  Object.keys(objectOverrides)
+    .sort((a, b) => a.split('/').length - b.split('/').length)
+    .forEach(path => {
+      const object = byPath.get(path);
+      if (object) setObjectFlags(object, objectOverrides[path]);
+    });
+}
+
+function updateTreeFlags(object) {
+  const div = treeItems.get(object);
+  if (!div) return;
+  div.querySelectorAll(':scope > .tree-flags .tree-flag').forEach(el => {
+    el.classList.toggle('off', !object[el.dataset.flag]);
+  });
+}
+
+// Build Scene Tree
+const treeItems = new Map(); // Object3D -> tree-item row
+
+function buildSceneTree() {
+  const container = document.getElementById('scene-tree');
+  container.innerHTML = '';
+  treeItems.clear();
+  
+  function addNode(object, depth = 0) {
+    const wrapper = document.createElement('div');
+    
+    const div = document.createElement('div');
+    div.className = 'tree-item';
+    if (object.isMesh) div.classList.add('mesh');
+    else if (object.isGroup || object.isObject3D) div.classList.add('group');
+    else if (object.isLight) div.classList.add('light');
+    if (object === selectedObject) div.classList.add('selected');
+    
+    treeItems.set(object, div);
+    div.addEventListener('click', () => selectObject(object));
+    
+    div.style.paddingLeft = (10 + depth * 12) + 'px';
+    
+    const hasChildren = object.children.length > 0;
+    const toggle = document.createElement('span');
+    toggle.className = 'tree-toggle';
+    toggle.textContent = hasChildren ? '▼' : ' ';
+    div.appendChild(toggle);
+    
+    const name = document.createElement('span');
+    name.className = 'tree-name';
+    name.textContent = ' ' + (object.name || object.type);
+    div.appendChild(name);
+    
+    const model = loadedModels.find(m => m.root === object);
+    if (model && model.compression.length > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'tree-badge';
+      badge.textContent = model.compression.join(' · ');
+      badge.title = 'Compressed with ' + model.compression.join(', ');
+      div.appendChild(badge);
+    }
+    
+    // Visibility / shadow toggles
+    const flags = document.createElement('span');
+    flags.className = 'tree-flags';
+    const flagDefs = object.isLight
+      ? [['visible', '👁', 'Visible']]
+      : [['visible', '👁', 'Visible'], ['castShadow', 'C', 'Cast shadow'], ['receiveShadow', 'R', 'Receive shadow']];
+    flagDefs.forEach(([flag, icon, title]) => {
+      const btn = document.createElement('span');
+      btn.className = 'tree-flag';
+      btn.dataset.flag = flag;
+      btn.textContent = icon;
+      btn.title = title;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setObjectFlag(object, flag, !object[flag]);
+      });
+      flags.appendChild(btn);
+    });
+    div.appendChild(flags);
+    
+    wrapper.appendChild(div);
+    updateTreeFlags(object);
+    
+    if (hasChildren) {
+      const childrenDiv = document.createElement('div');
+      childrenDiv.className = 'tree-children';
+      
+      object.children.forEach(child => {
+        childrenDiv.appendChild(addNode(child, depth + 1));
+      });
+      
+      wrapper.appendChild(childrenDiv);
+      
+      // LOGIC: Collapse if this group only contains Meshes (no other Groups inside)
+      // This keeps the hierarchy open but hides the list of raw geometry elements
+      const hasGroupChildren = object.children.some(c => !c.isMesh && !c.isLight);
+      const startCollapsed = !hasGroupChildren;
+
+      if (startCollapsed) {
+        childrenDiv.classList.add('collapsed');
+      }
+
+      // Set initial arrow icon
+      toggle.textContent = startCollapsed ? '▶' : '▼';
+      
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isCollapsed = childrenDiv.classList.toggle('collapsed');
+        toggle.textContent = isCollapsed ? '▶' : '▼';
+      });
+    }
+    
+    return wrapper;
+  }
+  
+  scene.children.forEach(child => {
+    if (editorHelpers.has(child)) return;
+    container.appendChild(addNode(child));
+  });
+}
+
+// Selection
+let selectedObject = null;
+
+function selectObject(object) {
+  selectedObject = object;
+  
+  // Viewport
+  outlinePass.selectedObjects = object ? [object] : [];
+  if (object) transformControls.attach(object);
+  else transformControls.detach();
+  
+  // Outliner
+  treeItems.forEach(div => div.classList.remove('selected'));
+  if (object && treeItems.has(object)) {
+    revealTreeItem(treeItems.get(object));
+  }
+  
+  emitSceneEvent('selectionchange', { object, path: object ? getObjectPath(object) : null });
+}
+
+// Expand collapsed parents and scroll the row into view
+function revealTreeItem(div) {
+  div.classList.add('selected');
+  
+  let el = div.parentElement;
+  while (el && el.id !== 'scene-tree') {
+    if (el.classList.contains('tree-children') && el.classList.contains('collapsed')) {
+      el.classList.remove('collapsed');
+      const toggle = el.previousElementSibling.querySelector('.tree-toggle');
+      if (toggle) toggle.textContent = '▼';
+    }
+    el = el.parentElement;
+  }
+  
+  div.scrollIntoView({ block: 'nearest' });
+}
+
+// Raycasting ignores visibility, so check the whole ancestor chain
+function isObjectVisible(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+// Viewport Picking
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const pointerDown = new THREE.Vector2();
+let pointerDownOnGizmo = false;
+
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  pointerDown.set(e.clientX, e.clientY);
+  // The gizmo sets its hovered axis before this listener runs and clears it on pointerup
+  pointerDownOnGizmo = transformControls.axis !== null;
+});
+
+renderer.domElement.addEventListener('pointerup', (e) => {
+  if (e.button !== 0) return;
+  
+  // Ignore orbit drags and gizmo interaction
+  if (pointerDown.distanceTo(new THREE.Vector2(e.clientX, e.clientY)) > 4) return;
+  if (pointerDownOnGizmo) return;
+  
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+  
+  const targets = scene.children.filter(child => !editorHelpers.has(child));
+  const hit = raycaster.intersectObjects(targets, true)
+    .find(h => h.object.isMesh && isObjectVisible(h.object));
+  
+  selectObject(hit ? hit.object : null);
+});
+
+document.getElementById('gizmo-mode').addEventListener('change', (e) => {
+  transformControls.setMode(e.target.value);
+});
+
+document.getElementById('gizmo-space').addEventListener('change', (e) => {
+  transformControls.setSpace(e.target.value);
+});
+
+// Selected material reference
+let selectedMaterial = null;
+
+// Calculate material texture size in MB
+function getMaterialSize(mat) {
+  let size = 0;
+  ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap', 'alphaMap'].forEach(prop => {
+    if (mat[prop]) size += getTextureSize(mat[prop]);
+  });
+  return size;
+}
+
+// Build Material List
+function buildMaterialList() {
+  const container = document.getElementById('material-list');
+  container.innerHTML = '';
+  
+  stats.materials.forEach(mat => {
+    const div = document.createElement('div');
+    div.className = 'material-item';
+    
     const swatch = document.createElement('div');
     swatch.className = 'material-swatch';
     if (mat.color) {
@@ -360,6 +1496,46 @@ function buildMaterialList() {
   });
 }
 
+// Material Overrides (keyed by material name so they survive reloads)
+let materialOverrides = {};
+
+function getMaterialKey(mat) {
+  return mat.name || 'Unnamed Material';
+}
+
+function applyMaterialOverride(mat, override) {
+  let needsRecompile = false;
+  Object.entries(override).forEach(([prop, value]) => {
+    if (prop === 'color' || prop === 'emissive') {
+      if (mat[prop]) mat[prop].set(value);
+    } else if (mat[prop] !== undefined) {
+      if (prop === 'transparent' || prop === 'side') needsRecompile = true;
+      mat[prop] = value;
+    }
+  });
+  // Blending and culling changes need a new program
+  if (needsRecompile) mat.needsUpdate = true;
+  refreshDebugMaterial(mat);
+}
+
+// Edits are remembered by material name and apply live to every material with that name,
+// just as they will after a reload
+function setMaterialProperty(mat, prop, value) {
+  const key = getMaterialKey(mat);
+  if (!materialOverrides[key]) materialOverrides[key] = {};
+  materialOverrides[key][prop] = value;
+  new Set([mat, ...stats.materials]).forEach(other => {
+    if (getMaterialKey(other) === key) applyMaterialOverride(other, { [prop]: value });
+  });
+}
+
+function applyMaterialOverrides() {
+  stats.materials.forEach(mat => {
+    const override = materialOverrides[getMaterialKey(mat)];
+    if (override) applyMaterialOverride(mat, override);
+  });
+}
+
 // Update Material Inspector
 function updateMaterialInspector(mat) {
   const content = document.getElementById('material-inspector-content');
@@ -371,7 +1547,7 @@ function updateMaterialInspector(mat) {
   }
   
   // Helper to create a row
-  function createRow(label, value, colorHex, texture) {
+  function createRow(label, control, texture) {
     const row = document.createElement('div');
     row.className = 'inspector-row';
     
@@ -380,121 +1556,507 @@ function updateMaterialInspector(mat) {
     labelEl.textContent = label;
     row.appendChild(labelEl);
     
-    if (colorHex) {
-      const colorPreview = document.createElement('div');
-      colorPreview.className = 'color-preview';
-      colorPreview.style.background = colorHex;
-      row.appendChild(colorPreview);
+    if (control) {
+      row.appendChild(control);
     }
     
-    const valueEl = document.createElement('span');
-    valueEl.className = 'value';
-    
     if (texture) {
+      const valueEl = document.createElement('span');
       valueEl.className = 'value texture-link';
       valueEl.textContent = texture.name || 'Texture';
       valueEl.addEventListener('click', () => {
         showTextureInspector(texture);
       });
-    } else {
-      valueEl.textContent = value;
+      row.appendChild(valueEl);
     }
     
-    row.appendChild(valueEl);
     return row;
   }
   
+  function createColorInput(prop) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = '#' + mat[prop].getHexString();
+    input.addEventListener('input', () => {
+      setMaterialProperty(mat, prop, input.value);
+      
+      // Keep the swatch in the material list in sync
+      if (prop === 'color') {
+        const swatch = document.querySelector('.material-item.selected .material-swatch');
+        if (swatch) swatch.style.background = input.value;
+      }
+    });
+    return input;
+  }
+  
+  function createSlider(prop, min, max, step) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'inspector-slider';
+    
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = mat[prop];
+    
+    const value = document.createElement('span');
+    value.className = 'slider-value';
+    value.textContent = mat[prop].toFixed(2);
+    
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      value.textContent = v.toFixed(2);
+      setMaterialProperty(mat, prop, v);
+    });
+    
+    wrapper.appendChild(input);
+    wrapper.appendChild(value);
+    return wrapper;
+  }
+  
+  function createCheckbox(prop) {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = mat[prop];
+    input.addEventListener('change', () => {
+      setMaterialProperty(mat, prop, input.checked);
+    });
+    return input;
+  }
+  
+  function createSideSelect() {
+    const select = document.createElement('select');
+    [['Front', THREE.FrontSide], ['Back', THREE.BackSide], ['Double', THREE.DoubleSide]].forEach(([label, side]) => {
+      const option = document.createElement('option');
+      option.value = side;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = mat.side;
+    select.addEventListener('change', () => {
+      setMaterialProperty(mat, 'side', parseInt(select.value));
+    });
+    return select;
+  }
+  
   // Base Color
-  if (mat.map) {
-    content.appendChild(createRow('Base Color', null, null, mat.map));
-  } else if (mat.color) {
-    const hex = '#' + mat.color.getHexString();
-    content.appendChild(createRow('Base Color', hex, hex, null));
-  } else {
-    content.appendChild(createRow('Base Color', 'N/A', null, null));
+  if (mat.color) {
+    content.appendChild(createRow('Base Color', createColorInput('color'), mat.map));
+  } else if (mat.map) {
+    content.appendChild(createRow('Base Color', null, mat.map));
   }
   
   // Roughness
-  if (mat.roughnessMap) {
-    content.appendChild(createRow('Roughness', null, null, mat.roughnessMap));
-  } else if (mat.roughness !== undefined) {
-    content.appendChild(createRow('Roughness', mat.roughness.toFixed(2), null, null));
+  if (mat.roughness !== undefined) {
+    content.appendChild(createRow('Roughness', createSlider('roughness', 0, 1, 0.01), mat.roughnessMap));
   }
   
   // Metalness
-  if (mat.metalnessMap) {
-    content.appendChild(createRow('Metalness', null, null, mat.metalnessMap));
-  } else if (mat.metalness !== undefined) {
-    content.appendChild(createRow('Metalness', mat.metalness.toFixed(2), null, null));
+  if (mat.metalness !== undefined) {
+    content.appendChild(createRow('Metalness', createSlider('metalness', 0, 1, 0.01), mat.metalnessMap));
   }
   
   // Emissive
-  if (mat.emissiveMap) {
-    content.appendChild(createRow('Emissive', null, null, mat.emissiveMap));
-  } else if (mat.emissive) {
-    const hex = '#' + mat.emissive.getHexString();
-    const intensity = mat.emissiveIntensity !== undefined ? mat.emissiveIntensity : 1;
-    content.appendChild(createRow('Emissive', `${hex} (${intensity.toFixed(2)})`, hex, null));
+  if (mat.emissive) {
+    content.appendChild(createRow('Emissive', createColorInput('emissive'), mat.emissiveMap));
+  }
+  if (mat.emissiveIntensity !== undefined) {
+    content.appendChild(createRow('Emissive Int.', createSlider('emissiveIntensity', 0, 10, 0.05), null));
   }
   
   // Opacity
-  if (mat.alphaMap) {
-    content.appendChild(createRow('Opacity', null, null, mat.alphaMap));
-  } else if (mat.opacity !== undefined) {
-    content.appendChild(createRow('Opacity', mat.opacity.toFixed(2), null, null));
+  if (mat.opacity !== undefined) {
+    content.appendChild(createRow('Opacity', createSlider('opacity', 0, 1, 0.01), mat.alphaMap));
   }
   
-  // Normal Map (bonus)
+  // Environment
+  if (mat.envMapIntensity !== undefined) {
+    content.appendChild(createRow('Env Intensity', createSlider('envMapIntensity', 0, 3, 0.05), null));
+  }
+  
+  // Render Flags
+  content.appendChild(createRow('Transparent', createCheckbox('transparent'), null));
+  content.appendChild(createRow('Side', createSideSelect(), null));
+  if (mat.wireframe !== undefined) {
+    content.appendChild(createRow('Wireframe', createCheckbox('wireframe'), null));
+  }
+  
+  // Normal Map (bonus)
   if (mat.normalMap) {
-    content.appendChild(createRow('Normal', null, null, mat.normalMap));
+    content.appendChild(createRow('Normal', null, mat.normalMap));
   }
   
   // AO Map (bonus)
   if (mat.aoMap) {
-    content.appendChild(createRow('AO', null, null, mat.aoMap));
+    content.appendChild(createRow('AO', null, mat.aoMap));
   }
 }
 
-// Show Texture in Inspector
-function showTextureInspector(texture) {
-  const content = document.getElementById('texture-inspector-content');
-  content.innerHTML = '';
+// Texture Inspector
+// Names of the texture constants the inspector shows, e.g. 1001 -> 'ClampToEdgeWrapping'
+const textureConstantNames = {
+  Wrapping: {
+    [THREE.RepeatWrapping]: 'RepeatWrapping',
+    [THREE.ClampToEdgeWrapping]: 'ClampToEdgeWrapping',
+    [THREE.MirroredRepeatWrapping]: 'MirroredRepeatWrapping'
+  },
+  Filter: {
+    [THREE.NearestFilter]: 'NearestFilter',
+    [THREE.NearestMipmapNearestFilter]: 'NearestMipmapNearestFilter',
+    [THREE.NearestMipmapLinearFilter]: 'NearestMipmapLinearFilter',
+    [THREE.LinearFilter]: 'LinearFilter',
+    [THREE.LinearMipmapNearestFilter]: 'LinearMipmapNearestFilter',
+    [THREE.LinearMipmapLinearFilter]: 'LinearMipmapLinearFilter'
+  },
+  Type: {
+    [THREE.UnsignedByteType]: 'UnsignedByteType',
+    [THREE.ByteType]: 'ByteType',
+    [THREE.ShortType]: 'ShortType',
+    [THREE.UnsignedShortType]: 'UnsignedShortType',
+    [THREE.IntType]: 'IntType',
+    [THREE.UnsignedIntType]: 'UnsignedIntType',
+    [THREE.FloatType]: 'FloatType',
+    [THREE.HalfFloatType]: 'HalfFloatType',
+    [THREE.UnsignedShort4444Type]: 'UnsignedShort4444Type',
+    [THREE.UnsignedShort5551Type]: 'UnsignedShort5551Type',
+    [THREE.UnsignedInt248Type]: 'UnsignedInt248Type',
+    [THREE.UnsignedInt5999Type]: 'UnsignedInt5999Type'
+  },
+  Format: {
+    [THREE.AlphaFormat]: 'AlphaFormat',
+    [THREE.RGBFormat]: 'RGBFormat',
+    [THREE.RGBAFormat]: 'RGBAFormat',
+    [THREE.LuminanceFormat]: 'LuminanceFormat',
+    [THREE.LuminanceAlphaFormat]: 'LuminanceAlphaFormat',
+    [THREE.DepthFormat]: 'DepthFormat',
+    [THREE.DepthStencilFormat]: 'DepthStencilFormat',
+    [THREE.RedFormat]: 'RedFormat',
+    [THREE.RedIntegerFormat]: 'RedIntegerFormat',
+    [THREE.RGFormat]: 'RGFormat',
+    [THREE.RGIntegerFormat]: 'RGIntegerFormat',
+    [THREE.RGBIntegerFormat]: 'RGBIntegerFormat',
+    [THREE.RGBAIntegerFormat]: 'RGBAIntegerFormat',
+    [THREE.RGB_S3TC_DXT1_Format]: 'RGB_S3TC_DXT1_Format',
+    [THREE.RGBA_S3TC_DXT1_Format]: 'RGBA_S3TC_DXT1_Format',
+    [THREE.RGBA_S3TC_DXT3_Format]: 'RGBA_S3TC_DXT3_Format',
+    [THREE.RGBA_S3TC_DXT5_Format]: 'RGBA_S3TC_DXT5_Format',
+    [THREE.RGB_PVRTC_4BPPV1_Format]: 'RGB_PVRTC_4BPPV1_Format',
+    [THREE.RGB_PVRTC_2BPPV1_Format]: 'RGB_PVRTC_2BPPV1_Format',
+    [THREE.RGBA_PVRTC_4BPPV1_Format]: 'RGBA_PVRTC_4BPPV1_Format',
+    [THREE.RGBA_PVRTC_2BPPV1_Format]: 'RGBA_PVRTC_2BPPV1_Format',
+    [THREE.RGB_ETC1_Format]: 'RGB_ETC1_Format',
+    [THREE.RGB_ETC2_Format]: 'RGB_ETC2_Format',
+    [THREE.RGBA_ETC2_EAC_Format]: 'RGBA_ETC2_EAC_Format',
+    [THREE.RGBA_ASTC_4x4_Format]: 'RGBA_ASTC_4x4_Format',
+    [THREE.RGBA_ASTC_5x4_Format]: 'RGBA_ASTC_5x4_Format',
+    [THREE.RGBA_ASTC_5x5_Format]: 'RGBA_ASTC_5x5_Format',
+    [THREE.RGBA_ASTC_6x5_Format]: 'RGBA_ASTC_6x5_Format',
+    [THREE.RGBA_ASTC_6x6_Format]: 'RGBA_ASTC_6x6_Format',
+    [THREE.RGBA_ASTC_8x5_Format]: 'RGBA_ASTC_8x5_Format',
+    [THREE.RGBA_ASTC_8x6_Format]: 'RGBA_ASTC_8x6_Format',
+    [THREE.RGBA_ASTC_8x8_Format]: 'RGBA_ASTC_8x8_Format',
+    [THREE.RGBA_ASTC_10x5_Format]: 'RGBA_ASTC_10x5_Format',
+    [THREE.RGBA_ASTC_10x6_Format]: 'RGBA_ASTC_10x6_Format',
+    [THREE.RGBA_ASTC_10x8_Format]: 'RGBA_ASTC_10x8_Format',
+    [THREE.RGBA_ASTC_10x10_Format]: 'RGBA_ASTC_10x10_Format',
+    [THREE.RGBA_ASTC_12x10_Format]: 'RGBA_ASTC_12x10_Format',
+    [THREE.RGBA_ASTC_12x12_Format]: 'RGBA_ASTC_12x12_Format',
+    [THREE.RGBA_BPTC_Format]: 'RGBA_BPTC_Format',
+    [THREE.RGB_BPTC_SIGNED_Format]: 'RGB_BPTC_SIGNED_Format',
+    [THREE.RGB_BPTC_UNSIGNED_Format]: 'RGB_BPTC_UNSIGNED_Format',
+    [THREE.RED_RGTC1_Format]: 'RED_RGTC1_Format',
+    [THREE.SIGNED_RED_RGTC1_Format]: 'SIGNED_RED_RGTC1_Format',
+    [THREE.RED_GREEN_RGTC2_Format]: 'RED_GREEN_RGTC2_Format',
+    [THREE.SIGNED_RED_GREEN_RGTC2_Format]: 'SIGNED_RED_GREEN_RGTC2_Format'
+  }
+};
+
+function getConstantName(value, kind) {
+  return textureConstantNames[kind][value] || String(value);
+}
+
+function getTextureDimensions(texture) {
+  const image = texture.isCompressedTexture && texture.mipmaps?.length ? texture.mipmaps[0] : texture.image;
+  if (!image) return { width: 0, height: 0 };
+  return { width: image.naturalWidth || image.width || 0, height: image.naturalHeight || image.height || 0 };
+}
+
+// Materials that use a texture, with the slots it sits in
+function getTextureUsers(texture) {
+  const users = [];
+  stats.materials.forEach(mat => {
+    const slots = Object.keys(mat).filter(prop => mat[prop] === texture);
+    if (slots.length > 0) users.push({ mat, slots });
+  });
+  return users;
+}
+
+// RGBA pixels of a texture, or null when they can't be read back (compressed or float data)
+function readTexturePixels(texture) {
+  const image = texture.image;
+  const { width, height } = getTextureDimensions(texture);
+  if (texture.isCompressedTexture || !image || !width || !height) return null;
   
-  if (!texture || !texture.image) {
-    return;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (image.data) {
+    const data = image.data;
+    if (!(data instanceof Uint8Array || data instanceof Uint8ClampedArray) || data.length !== width * height * 4) return null;
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(data);
+    return imageData;
+  }
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, width, height);
+}
+
+// 'rgb' shows the color opaque; a single channel is shown as grayscale
+function drawTextureChannel(canvas, pixels, channel) {
+  canvas.width = pixels.width;
+  canvas.height = pixels.height;
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(pixels.width, pixels.height);
+  const src = pixels.data;
+  const dst = output.data;
+  const offset = 'rgba'.indexOf(channel);
+  for (let i = 0; i < src.length; i += 4) {
+    if (channel === 'rgb') {
+      dst[i] = src[i];
+      dst[i + 1] = src[i + 1];
+      dst[i + 2] = src[i + 2];
+    } else {
+      dst[i] = dst[i + 1] = dst[i + 2] = src[i + offset];
+    }
+    dst[i + 3] = 255;
   }
+  ctx.putImageData(output, 0, 0);
+}
+
+// Wheel zooms around the cursor, dragging pans, double-click fits the image again
+function setupTexturePanZoom(viewport, canvas) {
+  const view = { scale: 1, x: 0, y: 0 };
+  const apply = () => {
+    canvas.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+    canvas.style.imageRendering = view.scale > 1 ? 'pixelated' : 'auto';
+  };
+  const fit = () => {
+    view.scale = Math.min(viewport.clientWidth / canvas.width, viewport.clientHeight / canvas.height) || 1;
+    view.x = (viewport.clientWidth - canvas.width * view.scale) / 2;
+    view.y = (viewport.clientHeight - canvas.height * view.scale) / 2;
+    apply();
+  };
   
-  const img = document.createElement('img');
+  viewport.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const rect = viewport.getBoundingClientRect();
+    const px = e.clientX - rect.left;
+    const py = e.clientY - rect.top;
+    const factor = Math.exp(-e.deltaY * 0.002);
+    view.x = px - (px - view.x) * factor;
+    view.y = py - (py - view.y) * factor;
+    view.scale *= factor;
+    apply();
+  }, { passive: false });
   
-  try {
+  let drag = null;
+  viewport.addEventListener('pointerdown', (e) => {
+    drag = { x: e.clientX - view.x, y: e.clientY - view.y };
+    viewport.setPointerCapture(e.pointerId);
+  });
+  viewport.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    view.x = e.clientX - drag.x;
+    view.y = e.clientY - drag.y;
+    apply();
+  });
+  viewport.addEventListener('pointerup', () => drag = null);
+  viewport.addEventListener('dblclick', fit);
+  fit();
+}
+
+// Downscaled stand-ins swapped onto the materials live, to judge quality against the memory saved
+const texturePreviews = new Map(); // original texture -> { texture, factor }
+
+function getOriginalTexture(texture) {
+  for (const [original, preview] of texturePreviews) {
+    if (preview.texture === texture) return original;
+  }
+  return texture;
+}
+
+// Only decoded images can be redrawn smaller
+function canDownscaleTexture(texture) {
+  const image = texture.image;
+  return !texture.isCompressedTexture && !!image && !image.data && getTextureDimensions(texture).width > 0;
+}
+
+// factor 1 puts the original back
+function setTexturePreviewScale(original, factor) {
+  const current = texturePreviews.get(original);
+  let replacement = original;
+  if (factor > 1) {
+    const { width, height } = getTextureDimensions(original);
     const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width / factor));
+    canvas.height = Math.max(1, Math.round(height / factor));
     const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(original.image, 0, 0, canvas.width, canvas.height);
     
-    if (texture.image instanceof ImageBitmap) {
-      canvas.width = texture.image.width;
-      canvas.height = texture.image.height;
-      ctx.drawImage(texture.image, 0, 0);
-      img.src = canvas.toDataURL();
-    } else if (texture.image instanceof HTMLImageElement) {
-      canvas.width = texture.image.naturalWidth || texture.image.width;
-      canvas.height = texture.image.naturalHeight || texture.image.height;
-      ctx.drawImage(texture.image, 0, 0);
-      img.src = canvas.toDataURL();
-    } else if (texture.image instanceof HTMLCanvasElement) {
-      img.src = texture.image.toDataURL();
-    } else if (texture.image.data && texture.image.width && texture.image.height) {
-      canvas.width = texture.image.width;
-      canvas.height = texture.image.height;
-      const imageData = ctx.createImageData(texture.image.width, texture.image.height);
-      imageData.data.set(texture.image.data);
-      ctx.putImageData(imageData, 0, 0);
-      img.src = canvas.toDataURL();
-    }
-    
-    content.appendChild(img);
+    // A clone shares the original's Source, so give it its own
+    replacement = original.clone();
+    replacement.source = new THREE.Source(canvas);
+    replacement.needsUpdate = true;
+  }
+  
+  getTextureUsers(current ? current.texture : original).forEach(({ mat, slots }) => {
+    slots.forEach(slot => mat[slot] = replacement);
+    refreshDebugMaterial(mat);
+  });
+  if (current) {
+    current.texture.dispose();
+    texturePreviews.delete(original);
+  }
+  if (replacement !== original) texturePreviews.set(original, { texture: replacement, factor });
+  recalculateStats();
+}
+
+function resetTexturePreviews() {
+  [...texturePreviews.keys()].forEach(original => setTexturePreviewScale(original, 1));
+}
+
+// Puts the original textures back on the materials until the returned restore() is called,
+// so exports never ship a downscale preview
+function suspendTexturePreviews() {
+  const swapped = []; // [material, slot, preview texture]
+  texturePreviews.forEach(({ texture }, original) => {
+    getTextureUsers(texture).forEach(({ mat, slots }) => {
+      slots.forEach(slot => {
+        mat[slot] = original;
+        swapped.push([mat, slot, texture]);
+      });
+    });
+  });
+  return () => swapped.forEach(([mat, slot, texture]) => mat[slot] = texture);
+}
+
+// Show Texture in Inspector
+function showTextureInspector(texture) {
+  const content = document.getElementById('texture-inspector-content');
+  content.innerHTML = '';
+  
+  if (!texture) return;
+  texture = getOriginalTexture(texture);
+  const preview = texturePreviews.get(texture);
+  
+  // Image with channel isolation
+  let pixels = null;
+  try {
+    pixels = readTexturePixels(texture);
   } catch (e) {
     console.warn('Could not preview texture:', e);
   }
+  
+  if (pixels) {
+    const viewport = document.createElement('div');
+    viewport.className = 'texture-viewport';
+    const canvas = document.createElement('canvas');
+    drawTextureChannel(canvas, pixels, 'rgb');
+    viewport.appendChild(canvas);
+    content.appendChild(viewport);
+    setupTexturePanZoom(viewport, canvas);
+    
+    const channels = document.createElement('div');
+    channels.className = 'texture-channels';
+    ['rgb', 'r', 'g', 'b', 'a'].forEach(channel => {
+      const button = document.createElement('button');
+      button.className = 'file-btn' + (channel === 'rgb' ? ' active' : '');
+      button.textContent = channel.toUpperCase();
+      button.addEventListener('click', () => {
+        channels.querySelectorAll('.file-btn').forEach(b => b.classList.toggle('active', b === button));
+        drawTextureChannel(canvas, pixels, channel);
+      });
+      channels.appendChild(button);
+    });
+    content.appendChild(channels);
+  }
+  
+  // Metadata
+  const info = document.createElement('div');
+  info.className = 'texture-info';
+  const addRow = (label, value) => {
+    const row = document.createElement('div');
+    row.className = 'inspector-row';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'label';
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+    const valueEl = document.createElement('span');
+    valueEl.className = 'value';
+    valueEl.textContent = value;
+    valueEl.title = value;
+    row.appendChild(valueEl);
+    info.appendChild(row);
+    return row;
+  };
+  
+  const { width, height } = getTextureDimensions(texture);
+  addRow('Name', texture.name || 'Texture');
+  addRow('Resolution', `${width} × ${height}`);
+  addRow('Format', `${getConstantName(texture.format, 'Format')} / ${getConstantName(texture.type, 'Type')}`);
+  addRow('Color Space', texture.colorSpace || 'none');
+  addRow('Wrap', `${getConstantName(texture.wrapS, 'Wrapping')} / ${getConstantName(texture.wrapT, 'Wrapping')}`);
+  addRow('Filter', `${getConstantName(texture.minFilter, 'Filter')} / ${getConstantName(texture.magFilter, 'Filter')}`);
+  addRow('Mipmaps', texture.mipmaps?.length ? `${texture.mipmaps.length} levels` : texture.generateMipmaps ? 'Generated' : 'None');
+  addRow('Flip Y', String(texture.flipY));
+  addRow('UV Channel', texture.channel === 0 ? 'uv' : `uv${texture.channel}`);
+  const memoryRow = addRow('Memory', '');
+  const updateMemory = () => {
+    const full = getTextureSize(texture);
+    const live = texturePreviews.get(texture);
+    memoryRow.querySelector('.value').textContent = live
+      ? `${getTextureSize(live.texture).toFixed(2)} MB (saves ${(full - getTextureSize(live.texture)).toFixed(2)} of ${full.toFixed(2)} MB)`
+      : `${full.toFixed(2)} MB`;
+  };
+  updateMemory();
+  
+  // Live downscale preview
+  if (canDownscaleTexture(texture)) {
+    const row = document.createElement('div');
+    row.className = 'inspector-row';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'label';
+    labelEl.textContent = 'Preview At';
+    row.appendChild(labelEl);
+    const select = document.createElement('select');
+    select.dataset.noHistory = '';
+    [[1, 'Full resolution'], [2, '1/2 resolution'], [4, '1/4 resolution']].forEach(([factor, label]) => {
+      const option = document.createElement('option');
+      option.value = factor;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = preview ? preview.factor : 1;
+    select.addEventListener('change', () => {
+      setTexturePreviewScale(texture, parseInt(select.value));
+      updateMemory();
+    });
+    row.appendChild(select);
+    info.appendChild(row);
+  }
+  
+  // Materials using it
+  const users = getTextureUsers(preview ? preview.texture : texture);
+  const title = document.createElement('div');
+  title.className = 'section-title';
+  title.textContent = `Used by ${users.length} material${users.length === 1 ? '' : 's'}`;
+  info.appendChild(title);
+  users.forEach(({ mat, slots }) => addRow(getMaterialKey(mat), slots.join(', ')));
+  
+  content.appendChild(info);
 }
 
 // Update Stats Panel
@@ -525,7 +2087,7 @@ function setupSlider(id, callback) {
   slider.addEventListener('input', () => {
     const v = parseFloat(slider.value);
     if (value) {
-      if (id === 'hdr-rotation' || id === 'dir-direction' || id === 'dir-elevation') value.textContent = v + '°';
+      if (id === 'hdr-rotation' || id === 'dir-direction' || id === 'dir-elevation' || id === 'sun-north-offset') value.textContent = v + '°';
       else if (id === 'shadow-bias') value.textContent = v.toFixed(4);
       else value.textContent = v.toFixed(2);
     }
@@ -540,6 +2102,348 @@ setupSlider('camera-fov', (v) => {
   document.getElementById('camera-fov').nextElementSibling.textContent = v + '°';
 });
 
+// Camera Bookmarks
+let cameraBookmarks = []; // { name, position, target, fov }
+let cameraTransition = null;
+
+function getCameraView() {
+  return {
+    position: camera.position.toArray(),
+    target: controls.target.toArray(),
+    fov: camera.fov
+  };
+}
+
+function setCameraFov(fov) {
+  const fovSlider = document.getElementById('camera-fov');
+  fovSlider.value = fov;
+  fovSlider.dispatchEvent(new Event('input'));
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+function flyToView(view, duration = 1000) {
+  cameraTransition = {
+    fromPosition: camera.position.clone(),
+    fromTarget: controls.target.clone(),
+    fromFov: camera.fov,
+    toPosition: new THREE.Vector3().fromArray(view.position),
+    toTarget: new THREE.Vector3().fromArray(view.target),
+    toFov: view.fov,
+    start: performance.now(),
+    duration
+  };
+}
+
+function updateCameraTransition() {
+  if (!cameraTransition) return;
+  
+  const t = Math.min((performance.now() - cameraTransition.start) / cameraTransition.duration, 1);
+  const k = easeInOutCubic(t);
+  camera.position.lerpVectors(cameraTransition.fromPosition, cameraTransition.toPosition, k);
+  controls.target.lerpVectors(cameraTransition.fromTarget, cameraTransition.toTarget, k);
+  camera.fov = THREE.MathUtils.lerp(cameraTransition.fromFov, cameraTransition.toFov, k);
+  camera.updateProjectionMatrix();
+  
+  if (t === 1) {
+    // Sync the FOV slider once we arrive
+    setCameraFov(cameraTransition.toFov);
+    cameraTransition = null;
+  }
+}
+
+// User input takes over from a running transition
+controls.addEventListener('start', () => {
+  if (cameraTransition) {
+    setCameraFov(camera.fov);
+    cameraTransition = null;
+  }
+});
+
+function buildBookmarkList() {
+  const container = document.getElementById('bookmark-list');
+  container.innerHTML = '';
+  
+  cameraBookmarks.forEach((bookmark, i) => {
+    const div = document.createElement('div');
+    div.className = 'list-item';
+    
+    const name = document.createElement('span');
+    name.className = 'list-item-name';
+    name.textContent = bookmark.name;
+    div.appendChild(name);
+    
+    const remove = document.createElement('span');
+    remove.className = 'list-item-remove';
+    remove.textContent = '×';
+    remove.title = 'Delete bookmark';
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setBookmarks(cameraBookmarks.filter(b => b !== bookmark), `Delete bookmark ${bookmark.name}`);
+    });
+    div.appendChild(remove);
+    
+    div.addEventListener('click', () => {
+      const before = getCameraView();
+      flyToView(bookmark);
+      pushHistory({
+        label: `Go to ${bookmark.name}`,
+        undo: () => flyToView(before),
+        redo: () => flyToView(bookmark)
+      });
+    });
+    container.appendChild(div);
+  });
+}
+
+function setBookmarks(bookmarks, label) {
+  const before = cameraBookmarks;
+  cameraBookmarks = bookmarks;
+  buildBookmarkList();
+  pushHistory({
+    label,
+    undo: () => {
+      cameraBookmarks = before;
+      buildBookmarkList();
+    },
+    redo: () => setBookmarks(bookmarks, label)
+  });
+}
+
+document.getElementById('btn-add-bookmark').addEventListener('click', () => {
+  const nameInput = document.getElementById('bookmark-name');
+  const name = nameInput.value.trim() || `View ${cameraBookmarks.length + 1}`;
+  setBookmarks([...cameraBookmarks, { name, ...getCameraView() }], `Add bookmark ${name}`);
+  nameInput.value = '';
+});
+
+// Camera Path & Turntable
+let cameraPath = { keyframes: [], duration: 10, loop: false }; // keyframe: { time (0-1), position, target, fov }
+let cameraPlayback = null; // { mode: 'path' | 'turntable', start, startAngle, height }
+
+function applyCameraView(view) {
+  camera.position.fromArray(view.position);
+  controls.target.fromArray(view.target);
+  camera.fov = view.fov;
+  camera.updateProjectionMatrix();
+}
+
+// Uniform Catmull-Rom segment from p1 (t = 0) to p2 (t = 1)
+function catmullRom(t, p0, p1, p2, p3) {
+  const v0 = (p2 - p0) * 0.5;
+  const v1 = (p3 - p1) * 0.5;
+  const t2 = t * t;
+  return (2 * p1 - 2 * p2 + v0 + v1) * t * t2 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+// Catmull-Rom through the keyframes, respecting their spacing on the timeline
+function sampleCameraPath(t) {
+  const keys = cameraPath.keyframes;
+  if (keys.length === 0) return null;
+  if (keys.length === 1 || t <= keys[0].time) return keys[0];
+  if (t >= keys[keys.length - 1].time) return keys[keys.length - 1];
+  
+  let i = 0;
+  while (t > keys[i + 1].time) i++;
+  
+  const k0 = keys[Math.max(i - 1, 0)];
+  const k1 = keys[i];
+  const k2 = keys[i + 1];
+  const k3 = keys[Math.min(i + 2, keys.length - 1)];
+  const u = (t - k1.time) / ((k2.time - k1.time) || 1);
+  const spline = (get) => catmullRom(u, get(k0), get(k1), get(k2), get(k3));
+  
+  return {
+    position: [0, 1, 2].map(c => spline(k => k.position[c])),
+    target: [0, 1, 2].map(c => spline(k => k.target[c])),
+    fov: spline(k => k.fov)
+  };
+}
+
+function setPathTime(t) {
+  const slider = document.getElementById('path-time');
+  slider.value = t;
+  slider.nextElementSibling.textContent = (t * cameraPath.duration).toFixed(1) + 's';
+}
+
+function startCameraAnimation(mode) {
+  stopCameraAnimation();
+  cameraTransition = null;
+  
+  const offset = camera.position.clone().sub(controls.target);
+  cameraPlayback = {
+    mode,
+    start: performance.now(),
+    startAngle: Math.atan2(offset.x, offset.z),
+    height: offset.y
+  };
+  
+  document.getElementById(mode === 'path' ? 'btn-path-play' : 'btn-turntable').textContent = 'Stop';
+}
+
+function stopCameraAnimation() {
+  if (!cameraPlayback) return;
+  cameraPlayback = null;
+  setCameraFov(camera.fov);
+  document.getElementById('btn-path-play').textContent = 'Play';
+  document.getElementById('btn-turntable').textContent = 'Turntable';
+}
+
+// Poses the camera for a playback time in seconds; returns false once a non-looping path has finished
+function applyCameraAnimation(elapsed) {
+  if (cameraPlayback.mode === 'path') {
+    let t = elapsed / cameraPath.duration;
+    const finished = !cameraPath.loop && t >= 1;
+    t = cameraPath.loop ? t % 1 : Math.min(t, 1);
+    
+    const view = sampleCameraPath(t);
+    if (view) applyCameraView(view);
+    setPathTime(t);
+    return !finished;
+  }
+  
+  // Turntable
+  const speed = parseFloat(document.getElementById('turntable-speed').value) * Math.PI / 180;
+  const radius = parseFloat(document.getElementById('turntable-radius').value);
+  const angle = cameraPlayback.startAngle + speed * elapsed;
+  camera.position.set(
+    controls.target.x + Math.sin(angle) * radius,
+    controls.target.y + cameraPlayback.height,
+    controls.target.z + Math.cos(angle) * radius
+  );
+  return true;
+}
+
+function updateCameraAnimation() {
+  if (!cameraPlayback) return;
+  const elapsed = (performance.now() - cameraPlayback.start) / 1000;
+  if (!applyCameraAnimation(elapsed)) stopCameraAnimation();
+}
+
+// User input stops playback
+controls.addEventListener('start', stopCameraAnimation);
+
+function buildKeyframeList() {
+  const container = document.getElementById('keyframe-list');
+  container.innerHTML = '';
+  
+  const timeline = document.getElementById('path-timeline');
+  timeline.innerHTML = '';
+  
+  cameraPath.keyframes.forEach((key, i) => {
+    const div = document.createElement('div');
+    div.className = 'list-item';
+    
+    const name = document.createElement('span');
+    name.className = 'list-item-name';
+    name.textContent = `Key ${i + 1} @ ${(key.time * cameraPath.duration).toFixed(1)}s`;
+    div.appendChild(name);
+    
+    const remove = document.createElement('span');
+    remove.className = 'list-item-remove';
+    remove.textContent = '×';
+    remove.title = 'Delete keyframe';
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setKeyframes(cameraPath.keyframes.filter(k => k !== key), `Delete keyframe ${i + 1}`);
+    });
+    div.appendChild(remove);
+    
+    div.addEventListener('click', () => {
+      stopCameraAnimation();
+      setPathTime(key.time);
+      flyToView(key, 500);
+    });
+    container.appendChild(div);
+    
+    const marker = document.createElement('span');
+    marker.className = 'timeline-marker';
+    marker.style.left = (key.time * 100) + '%';
+    timeline.appendChild(marker);
+  });
+}
+
+function setKeyframes(keyframes, label) {
+  const before = cameraPath.keyframes;
+  cameraPath.keyframes = keyframes;
+  buildKeyframeList();
+  pushHistory({
+    label,
+    undo: () => {
+      cameraPath.keyframes = before;
+      buildKeyframeList();
+    },
+    redo: () => setKeyframes(keyframes, label)
+  });
+}
+
+document.getElementById('btn-path-add-key').addEventListener('click', () => {
+  const time = parseFloat(document.getElementById('path-time').value);
+  
+  // Replace a keyframe at the same time, otherwise insert in order
+  const keyframes = cameraPath.keyframes.filter(k => Math.abs(k.time - time) > 0.0005);
+  keyframes.push({ time, ...getCameraView() });
+  keyframes.sort((a, b) => a.time - b.time);
+  setKeyframes(keyframes, `Add keyframe @ ${(time * cameraPath.duration).toFixed(1)}s`);
+});
+
+document.getElementById('btn-path-play').addEventListener('click', () => {
+  if (cameraPlayback && cameraPlayback.mode === 'path') {
+    stopCameraAnimation();
+  } else if (cameraPath.keyframes.length > 0) {
+    startCameraAnimation('path');
+  }
+});
+
+document.getElementById('btn-turntable').addEventListener('click', () => {
+  if (cameraPlayback && cameraPlayback.mode === 'turntable') {
+    stopCameraAnimation();
+  } else {
+    startCameraAnimation('turntable');
+  }
+});
+
+// Takes the radius from the camera's current horizontal distance to the target
+document.getElementById('btn-turntable-radius').addEventListener('click', () => {
+  const slider = document.getElementById('turntable-radius');
+  const offset = camera.position.clone().sub(controls.target);
+  const before = slider.value;
+  writeInputValue(slider, Math.hypot(offset.x, offset.z));
+  const after = slider.value;
+  if (after === before) return;
+  pushHistory({
+    label: describeInput(slider),
+    undo: () => writeInputValue(slider, before),
+    redo: () => writeInputValue(slider, after)
+  });
+});
+
+setupSlider('path-time', (t) => {
+  stopCameraAnimation();
+  setPathTime(t);
+  const view = sampleCameraPath(t);
+  if (view) applyCameraView(view);
+});
+
+setupSlider('path-duration', (v) => {
+  cameraPath.duration = v;
+  document.getElementById('path-duration').nextElementSibling.textContent = v + 's';
+  setPathTime(parseFloat(document.getElementById('path-time').value));
+  buildKeyframeList();
+});
+
+document.getElementById('path-loop').addEventListener('change', (e) => {
+  cameraPath.loop = e.target.checked;
+});
+
+setupSlider('turntable-speed', (v) => {
+  document.getElementById('turntable-speed').nextElementSibling.textContent = v + '°/s';
+});
+
+setupSlider('turntable-radius', () => {});
+
 // Lighting Controls
 setupSlider('hdr-intensity', (v) => {
   if (envMap) scene.environmentIntensity = v;
@@ -566,21 +2470,130 @@ setupSlider('ambient-intensity', (v) => ambientLight.intensity = v);
 document.getElementById('dir-color').addEventListener('input', (e) => {
   dirLight.color.set(e.target.value);
 });
-setupSlider('dir-intensity', (v) => dirLight.intensity = v);
+setupSlider('dir-intensity', (v) => dirLight.intensity = v * sunDaylight);
+
+// Share of the intensity slider the sun gives off; below 1 only in sun mode around and after sunset
+let sunDaylight = 1;
 
 function updateLightPosition() {
-  const dirSlider = document.getElementById('dir-direction');
-  const elevSlider = document.getElementById('dir-elevation');
+  const { direction, elevation, daylight, sun } = getDirLightAngles({
+    sunMode: document.getElementById('sun-mode').checked,
+    dirDirection: parseFloat(document.getElementById('dir-direction').value),
+    dirElevation: parseFloat(document.getElementById('dir-elevation').value),
+    ...getSunSettings()
+  });
   
-  const direction = parseFloat(dirSlider.value) * Math.PI / 180;
-  const elevation = parseFloat(elevSlider.value) * Math.PI / 180;
+  if (sun) {
+    document.getElementById('sun-info').textContent = sun.altitude > 0
+      ? `Az ${sun.azimuth.toFixed(1)}° / Alt ${sun.altitude.toFixed(1)}°`
+      : `Below horizon (Alt ${sun.altitude.toFixed(1)}°)`;
+  }
+  
+  const dir = direction * Math.PI / 180;
+  const elev = elevation * Math.PI / 180;
   
   const distance = 10;
-  dirLight.position.x = Math.sin(direction) * Math.cos(elevation) * distance;
-  dirLight.position.y = Math.sin(elevation) * distance;
-  dirLight.position.z = Math.cos(direction) * Math.cos(elevation) * distance;
+  dirLight.position.x = Math.sin(dir) * Math.cos(elev) * distance;
+  dirLight.position.y = Math.sin(elev) * distance;
+  dirLight.position.z = Math.cos(dir) * Math.cos(elev) * distance;
+  
+  sunDaylight = daylight;
+  dirLight.intensity = parseFloat(document.getElementById('dir-intensity').value) * daylight;
+}
+
+// Direction/elevation in degrees, from the sliders or the geographic sun, and the daylight
+// factor (0-1) that scales the light's intensity
+function getDirLightAngles(settings) {
+  if (!settings.sunMode) {
+    return { direction: settings.dirDirection, elevation: settings.dirElevation, daylight: 1 };
+  }
+  
+  const sun = getSolarPosition(getSunDate(settings), settings.sunLatitude, settings.sunLongitude);
+  return {
+    // Azimuth is clockwise from north; scene north is -Z rotated by the north offset
+    direction: (180 - sun.azimuth + settings.sunNorthOffset + 360) % 360,
+    // Keep the light on the horizon at night instead of lighting from below
+    elevation: Math.max(sun.altitude, 0),
+    // Fades out through civil twilight (down to 6° below the horizon), so night is dark
+    daylight: THREE.MathUtils.clamp(1 + sun.altitude / 6, 0, 1),
+    sun
+  };
+}
+
+// Sun Position
+function getSunSettings() {
+  return {
+    sunLatitude: parseFloat(document.getElementById('sun-latitude').value) || 0,
+    sunLongitude: parseFloat(document.getElementById('sun-longitude').value) || 0,
+    sunDate: document.getElementById('sun-date').value,
+    sunTime: parseFloat(document.getElementById('sun-time').value),
+    sunUtcOffset: parseFloat(document.getElementById('sun-utc-offset').value) || 0,
+    sunNorthOffset: parseFloat(document.getElementById('sun-north-offset').value)
+  };
+}
+
+// Local date + minutes of day -> UTC Date
+function getSunDate(settings) {
+  const [year, month, day] = (settings.sunDate || '2000-06-21').split('-').map(Number);
+  const minutes = settings.sunTime - settings.sunUtcOffset * 60;
+  return new Date(Date.UTC(year, month - 1, day) + minutes * 60000);
+}
+
+// Low-precision solar ephemeris (accurate to ~0.1° for 1950-2050)
+function getSolarPosition(date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const d = date.getTime() / 86400000 - 10957.5; // days since J2000.0
+  
+  const g = (357.529 + 0.98560028 * d) * rad; // mean anomaly
+  const q = 280.459 + 0.98564736 * d; // mean longitude
+  const L = (q + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad; // ecliptic longitude
+  const e = (23.439 - 0.00000036 * d) * rad; // obliquity
+  
+  const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L));
+  const dec = Math.asin(Math.sin(e) * Math.sin(L));
+  
+  const gmst = ((18.697374558 + 24.06570982441908 * d) % 24 + 24) % 24;
+  const hourAngle = (gmst * 15 + longitude) * rad - ra;
+  const lat = latitude * rad;
+  
+  const altitude = Math.asin(
+    Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle),
+    Math.tan(dec) * Math.cos(lat) - Math.sin(lat) * Math.cos(hourAngle)
+  );
+  
+  return {
+    azimuth: (azimuth / rad + 360) % 360,
+    altitude: altitude / rad
+  };
 }
 
+function formatSunTime(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return String(h).padStart(2, '0') + ':' + String(m).padStart(2, '0');
+}
+
+document.getElementById('sun-mode').addEventListener('change', (e) => {
+  document.getElementById('dir-direction').disabled = e.target.checked;
+  document.getElementById('dir-elevation').disabled = e.target.checked;
+  document.getElementById('sun-info').textContent = '—';
+  updateLightPosition();
+});
+
+['sun-latitude', 'sun-longitude', 'sun-date', 'sun-utc-offset'].forEach(id => {
+  document.getElementById(id).addEventListener('input', updateLightPosition);
+});
+
+setupSlider('sun-time', (v) => {
+  document.getElementById('sun-time').nextElementSibling.textContent = formatSunTime(v);
+  updateLightPosition();
+});
+
+setupSlider('sun-north-offset', () => updateLightPosition());
+
 setupSlider('dir-direction', (v) => {
   document.getElementById('dir-direction').nextElementSibling.textContent = v + '°';
   updateLightPosition();
@@ -641,12 +2654,283 @@ setupSlider('shadow-camera-size', (v) => {
   dirLight.shadow.camera.updateProjectionMatrix();
 });
 
-// Post Processing Controls
-document.getElementById('tone-mapping-type').addEventListener('change', (e) => {
-  renderer.toneMapping = parseInt(e.target.value);
-});
+// User Lights
+const userLights = []; // { type, light, card }
+let userLightCounter = 0;
+let rectAreaLightsInitialized = false;
 
-setupSlider('exposure', (v) => renderer.toneMappingExposure = v);
+const userLightTypes = {
+  point: { label: 'Point', create: () => new THREE.PointLight(0xffffff, 1, 0, 2) },
+  spot: { label: 'Spot', create: () => new THREE.SpotLight(0xffffff, 1, 0, Math.PI / 6, 0.2, 2) },
+  rectArea: { label: 'Rect Area', create: () => new THREE.RectAreaLight(0xffffff, 1, 0.2, 0.2) },
+  hemisphere: { label: 'Hemisphere', create: () => new THREE.HemisphereLight(0xffffff, 0x444444, 1) }
+};
+
+// Spot and rect area lights are aimed at the scene origin
+function aimUserLight(light) {
+  if (light.isRectAreaLight) light.lookAt(0, 0, 0);
+}
+
+function applyUserLightData(light, data) {
+  if (data.name) light.name = data.name;
+  if (data.color) light.color.set(data.color);
+  if (data.groundColor && light.groundColor) light.groundColor.set(data.groundColor);
+  if (data.intensity !== undefined) light.intensity = data.intensity;
+  if (data.position) light.position.fromArray(data.position);
+  if (data.distance !== undefined && light.distance !== undefined) light.distance = data.distance;
+  if (data.decay !== undefined && light.decay !== undefined) light.decay = data.decay;
+  if (data.angle !== undefined && light.isSpotLight) light.angle = data.angle * Math.PI / 180;
+  if (data.penumbra !== undefined && light.isSpotLight) light.penumbra = data.penumbra;
+  if (data.width !== undefined && light.isRectAreaLight) light.width = data.width;
+  if (data.height !== undefined && light.isRectAreaLight) light.height = data.height;
+  if (light.shadow) {
+    if (data.castShadow !== undefined) light.castShadow = data.castShadow;
+    if (data.shadowBias !== undefined) light.shadow.bias = data.shadowBias;
+  }
+  aimUserLight(light);
+}
+
+function serializeUserLight({ type, light }) {
+  const data = {
+    type,
+    name: light.name,
+    color: '#' + light.color.getHexString(),
+    intensity: light.intensity,
+    position: light.position.toArray()
+  };
+  if (light.groundColor) data.groundColor = '#' + light.groundColor.getHexString();
+  if (light.isPointLight || light.isSpotLight) {
+    data.distance = light.distance;
+    data.decay = light.decay;
+  }
+  if (light.isSpotLight) {
+    data.angle = Math.round(light.angle * 180 / Math.PI);
+    data.penumbra = light.penumbra;
+  }
+  if (light.isRectAreaLight) {
+    data.width = light.width;
+    data.height = light.height;
+  }
+  if (light.shadow) {
+    data.castShadow = light.castShadow;
+    data.shadowBias = light.shadow.bias;
+  }
+  return data;
+}
+
+function addUserLight(type, data = {}) {
+  if (type === 'rectArea' && !rectAreaLightsInitialized) {
+    RectAreaLightUniformsLib.init();
+    rectAreaLightsInitialized = true;
+  }
+  
+  const light = userLightTypes[type].create();
+  light.name = `${userLightTypes[type].label} Light ${++userLightCounter}`;
+  light.position.set(controls.target.x, controls.target.y + 0.5, controls.target.z);
+  if (light.shadow) {
+    light.shadow.mapSize.set(1024, 1024);
+    light.shadow.bias = -0.0001;
+    light.shadow.camera.near = 0.01;
+  }
+  applyUserLightData(light, data);
+  scene.add(light);
+  
+  const entry = { type, light, card: null };
+  entry.card = createUserLightCard(entry);
+  document.getElementById('user-lights').appendChild(entry.card);
+  userLights.push(entry);
+  
+  buildSceneTree();
+  return entry;
+}
+
+function removeUserLight(entry) {
+  if (selectedObject === entry.light) selectObject(null);
+  scene.remove(entry.light);
+  entry.light.dispose();
+  entry.card.remove();
+  userLights.splice(userLights.indexOf(entry), 1);
+  buildSceneTree();
+}
+
+// Puts a removed light back with its original card, so older history entries still point at live inputs
+function restoreUserLight(entry, index) {
+  scene.add(entry.light);
+  const container = document.getElementById('user-lights');
+  container.insertBefore(entry.card, container.children[index] || null);
+  userLights.splice(index, 0, entry);
+  buildSceneTree();
+}
+
+function clearUserLights() {
+  [...userLights].forEach(removeUserLight);
+}
+
+// Lights of the same types are updated in place, so history entries keep pointing at live light objects
+function syncUserLights(list) {
+  const reusable = userLights.length === list.length && userLights.every((entry, i) => entry.type === list[i].type);
+  if (!reusable) {
+    clearUserLights();
+    list.forEach(data => addUserLight(data.type, data));
+    return;
+  }
+  
+  userLights.forEach((entry, i) => applyUserLightData(entry.light, list[i]));
+  refreshUserLightCards();
+  buildSceneTree();
+}
+
+function refreshUserLightCards() {
+  userLights.forEach(entry => {
+    const card = createUserLightCard(entry);
+    entry.card.replaceWith(card);
+    entry.card = card;
+  });
+}
+
+function createUserLightCard(entry) {
+  const { light } = entry;
+  const card = document.createElement('div');
+  card.className = 'light-card';
+  
+  // Header
+  const header = document.createElement('div');
+  header.className = 'light-card-header';
+  const title = document.createElement('span');
+  title.textContent = light.name;
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'file-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    const index = userLights.indexOf(entry);
+    removeUserLight(entry);
+    pushHistory({
+      label: `Remove ${light.name}`,
+      undo: () => restoreUserLight(entry, index),
+      redo: () => removeUserLight(entry)
+    });
+  });
+  header.appendChild(title);
+  header.appendChild(removeBtn);
+  card.appendChild(header);
+  
+  function addRow(label, ...inputs) {
+    const row = document.createElement('div');
+    row.className = 'slider-row';
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+    inputs.forEach(input => row.appendChild(input));
+    card.appendChild(row);
+  }
+  
+  function colorInput(color) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = '#' + color.getHexString();
+    input.addEventListener('input', () => color.set(input.value));
+    return input;
+  }
+  
+  function slider(min, max, step, value, digits, callback) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'value';
+    valueEl.textContent = value.toFixed(digits);
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      valueEl.textContent = v.toFixed(digits);
+      callback(v);
+    });
+    return [input, valueEl];
+  }
+  
+  addRow('Color', colorInput(light.color));
+  if (light.groundColor) addRow('Ground Color', colorInput(light.groundColor));
+  addRow('Intensity', ...slider(0, 20, 0.05, light.intensity, 2, (v) => light.intensity = v));
+  
+  // Position
+  const positionInputs = ['x', 'y', 'z'].map(axis => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'position-input';
+    input.step = 0.05;
+    input.value = light.position[axis].toFixed(2);
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      if (isNaN(v)) return;
+      light.position[axis] = v;
+      aimUserLight(light);
+    });
+    return input;
+  });
+  addRow('Position', ...positionInputs);
+  entry.positionInputs = positionInputs;
+  
+  // Type specific
+  if (light.isPointLight || light.isSpotLight) {
+    addRow('Distance', ...slider(0, 20, 0.1, light.distance, 1, (v) => light.distance = v));
+    addRow('Decay', ...slider(0, 4, 0.1, light.decay, 1, (v) => light.decay = v));
+  }
+  if (light.isSpotLight) {
+    const angle = Math.round(light.angle * 180 / Math.PI);
+    const [angleInput, angleValue] = slider(1, 90, 1, angle, 0, (v) => {
+      light.angle = v * Math.PI / 180;
+      angleValue.textContent = v + '°';
+    });
+    angleValue.textContent = angle + '°';
+    addRow('Angle', angleInput, angleValue);
+    addRow('Penumbra', ...slider(0, 1, 0.05, light.penumbra, 2, (v) => light.penumbra = v));
+  }
+  if (light.isRectAreaLight) {
+    addRow('Width', ...slider(0.01, 2, 0.01, light.width, 2, (v) => light.width = v));
+    addRow('Height', ...slider(0.01, 2, 0.01, light.height, 2, (v) => light.height = v));
+  }
+  
+  // Shadows (not supported by rect area and hemisphere lights)
+  if (light.shadow) {
+    const shadowInput = document.createElement('input');
+    shadowInput.type = 'checkbox';
+    shadowInput.checked = light.castShadow;
+    shadowInput.addEventListener('change', () => light.castShadow = shadowInput.checked);
+    addRow('Cast Shadow', shadowInput);
+    addRow('Shadow Bias', ...slider(-0.005, 0.005, 0.0001, light.shadow.bias, 4, (v) => light.shadow.bias = v));
+  }
+  
+  return card;
+}
+
+// Keep position fields in sync when a light is moved with the gizmo
+transformControls.addEventListener('objectChange', () => {
+  const entry = userLights.find(l => l.light === transformControls.object);
+  if (!entry) return;
+  aimUserLight(entry.light);
+  entry.positionInputs.forEach((input, i) => {
+    input.value = entry.light.position.getComponent(i).toFixed(2);
+  });
+});
+
+document.getElementById('btn-add-light').addEventListener('click', () => {
+  const entry = addUserLight(document.getElementById('add-light-type').value);
+  selectObject(entry.light);
+  pushHistory({
+    label: `Add ${entry.light.name}`,
+    undo: () => removeUserLight(entry),
+    redo: () => restoreUserLight(entry, userLights.length)
+  });
+});
+
+// Post Processing Controls
+document.getElementById('tone-mapping-type').addEventListener('change', (e) => {
+  renderer.toneMapping = parseInt(e.target.value);
+});
+
+setupSlider('exposure', (v) => renderer.toneMappingExposure = v);
 
 document.getElementById('color-correction-enabled').addEventListener('change', (e) => {
   colorPass.enabled = e.target.checked;
@@ -672,6 +2956,522 @@ window.addEventListener('resize', () => {
   renderer.setSize(canvas.clientWidth, canvas.clientHeight);
   composer.setSize(canvas.clientWidth, canvas.clientHeight);
   bloomPass.setSize(canvas.clientWidth, canvas.clientHeight);
+  debugComposer.setSize(canvas.clientWidth, canvas.clientHeight);
+});
+
+// Render to File
+// Switches the composer pipeline to an arbitrary output size. The WebGL canvas is resized without
+// touching its CSS size, so the viewport layout never changes; end() restores the viewport.
+function createOffscreenRender(width, height, { supersample = 1, transparent = false } = {}) {
+  const renderWidth = width * supersample;
+  const renderHeight = height * supersample;
+  const tooLarge = `${renderWidth}×${renderHeight} is too large for this GPU, lower the size or supersampling`;
+  const gl = renderer.getContext();
+  const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  const maxSize = Math.min(renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+  if (renderWidth > Math.min(maxSize, maxViewportWidth) || renderHeight > Math.min(maxSize, maxViewportHeight)) {
+    throw new Error(tooLarge);
+  }
+  
+  // Save viewport state
+  const viewportSize = renderer.getSize(new THREE.Vector2());
+  const pixelRatio = renderer.getPixelRatio();
+  const aspect = camera.aspect;
+  const background = scene.background;
+  const clearColor = renderer.getClearColor(new THREE.Color());
+  const clearAlpha = renderer.getClearAlpha();
+  const outlined = outlinePass.selectedObjects;
+  const helpersVisible = new Map([...editorHelpers].map(h => [h, h.visible]));
+  
+  // Hide editor overlays
+  outlinePass.selectedObjects = [];
+  editorHelpers.forEach(h => h.visible = false);
+  
+  if (transparent) {
+    scene.background = null;
+    renderer.setClearColor(0x000000, 0);
+  }
+  
+  const end = () => {
+    scene.background = background;
+    renderer.setClearColor(clearColor, clearAlpha);
+    outlinePass.selectedObjects = outlined;
+    helpersVisible.forEach((visible, h) => h.visible = visible);
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(viewportSize.x, viewportSize.y, false);
+    composer.setPixelRatio(pixelRatio);
+    composer.setSize(viewportSize.x, viewportSize.y);
+    composer.render();
+  };
+  
+  renderer.setPixelRatio(1);
+  renderer.setSize(renderWidth, renderHeight, false);
+  composer.setPixelRatio(1);
+  composer.setSize(renderWidth, renderHeight);
+  
+  // Browsers silently clamp a canvas that is too large for memory, which would crop or upscale the image
+  if (gl.drawingBufferWidth !== renderWidth || gl.drawingBufferHeight !== renderHeight) {
+    end();
+    throw new Error(tooLarge);
+  }
+  
+  return {
+    // Renders one frame and copies it out before the drawing buffer is presented
+    render() {
+      // Keep the viewport framing: widen the vertical FOV when the image is narrower than the viewport
+      const fov = camera.fov;
+      const renderAspect = width / height;
+      if (renderAspect < aspect) {
+        camera.fov = 2 * Math.atan(Math.tan(fov * Math.PI / 360) * aspect / renderAspect) * 180 / Math.PI;
+      }
+      camera.aspect = renderAspect;
+      camera.updateProjectionMatrix();
+      
+      try {
+        composer.render();
+        return downsampleCanvas(renderer.domElement, width, height);
+      } finally {
+        camera.fov = fov;
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+      }
+    },
+    
+    end
+  };
+}
+
+// Single still; setup, render and restore happen in one task so the viewport never shows the offscreen frame
+function renderImage(width, height, options) {
+  const offscreen = createOffscreenRender(width, height, options);
+  try {
+    return offscreen.render();
+  } finally {
+    offscreen.end();
+  }
+}
+
+// Halve repeatedly for a clean box-filtered supersample
+function downsampleCanvas(source, width, height) {
+  let current = source;
+  let w = source.width;
+  let h = source.height;
+  
+  do {
+    w = Math.max(Math.round(w / 2), width);
+    h = Math.max(Math.round(h / 2), height);
+    const next = document.createElement('canvas');
+    next.width = w;
+    next.height = h;
+    const ctx = next.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(current, 0, 0, w, h);
+    current = next;
+  } while (w > width || h > height);
+  
+  return current;
+}
+
+function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), type);
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function getRenderSize() {
+  return {
+    width: parseInt(document.getElementById('render-width').value),
+    height: parseInt(document.getElementById('render-height').value)
+  };
+}
+
+document.getElementById('render-resolution').addEventListener('change', (e) => {
+  let [width, height] = e.target.value.split('x').map(Number);
+  if (e.target.value === 'viewport') {
+    width = canvas.clientWidth;
+    height = canvas.clientHeight;
+  }
+  if (e.target.value === 'custom') return;
+  document.getElementById('render-width').value = width;
+  document.getElementById('render-height').value = height;
+});
+
+['render-width', 'render-height'].forEach(id => {
+  document.getElementById(id).addEventListener('input', () => {
+    document.getElementById('render-resolution').value = 'custom';
+  });
+});
+
+document.getElementById('btn-render').addEventListener('click', async () => {
+  const { width, height } = getRenderSize();
+  if (!(width > 0 && height > 0)) {
+    alert('Enter a valid render size');
+    return;
+  }
+  
+  try {
+    const image = renderImage(width, height, {
+      supersample: parseInt(document.getElementById('render-supersample').value),
+      transparent: document.getElementById('render-transparent').checked && !document.getElementById('hdr-background').checked
+    });
+    downloadBlob(await canvasToBlob(image), `render-${width}x${height}.png`);
+  } catch (err) {
+    alert('Error rendering image: ' + err.message);
+  }
+});
+
+// Animation Export
+let animationExport = null; // { cancelled }
+
+function setExportProgress(text) {
+  document.getElementById('export-progress').textContent = text;
+}
+
+// Frames are stepped at a fixed rate from the playback clock, independent of requestAnimationFrame
+async function exportCameraAnimation({ mode, format, width, height, fps, supersample }) {
+  if (mode === 'path' && cameraPath.keyframes.length === 0) {
+    throw new Error('The camera path has no keyframes');
+  }
+  
+  const speed = parseFloat(document.getElementById('turntable-speed').value);
+  if (mode === 'turntable' && speed === 0) {
+    throw new Error('Turntable speed is 0');
+  }
+  
+  const duration = mode === 'path' ? cameraPath.duration : 360 / Math.abs(speed);
+  const loops = mode === 'turntable' || cameraPath.loop;
+  // A non-looping path also needs its final keyframe
+  const frameCount = Math.round(duration * fps) + (loops ? 0 : 1);
+  
+  stopCameraAnimation();
+  cameraTransition = null;
+  
+  // Freeze keyboard movement, damping and user input while frames are stepped
+  const savedPosition = camera.position.clone();
+  const savedTarget = controls.target.clone();
+  const savedFov = camera.fov;
+  controls.enabled = false;
+  Object.keys(moveState).forEach(key => moveState[key] = false);
+  animationExport = { cancelled: false };
+  
+  const offset = camera.position.clone().sub(controls.target);
+  cameraPlayback = { mode, start: 0, startAngle: Math.atan2(offset.x, offset.z), height: offset.y };
+  
+  let writer = null;
+  try {
+    writer = format === 'webm'
+      ? createWebMWriter(width, height, fps)
+      : createPNGSequenceWriter();
+    
+    for (let i = 0; i < frameCount; i++) {
+      if (animationExport.cancelled) throw new Error('Export cancelled');
+      
+      applyCameraAnimation(i / fps);
+      camera.lookAt(controls.target);
+      // Playing model clips advance in step with the frames
+      if (i > 0) updateModelAnimations(1 / fps);
+      
+      // Each frame switches to the export size and back in one task, so the viewport never shows
+      // a stretched export frame between yields and a window resize in between is picked up
+      await writer.addFrame(renderImage(width, height, { supersample }), i);
+      setExportProgress(`Frame ${i + 1} / ${frameCount}`);
+      
+      // Let the UI breathe between frames
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    setExportProgress('Encoding…');
+    return await writer.finish();
+  } finally {
+    if (writer) writer.close();
+    cameraPlayback = null;
+    animationExport = null;
+    camera.position.copy(savedPosition);
+    controls.target.copy(savedTarget);
+    camera.fov = savedFov;
+    camera.updateProjectionMatrix();
+    controls.enabled = true;
+    controls.update();
+  }
+}
+
+function createPNGSequenceWriter() {
+  const files = {};
+  return {
+    async addFrame(image, index) {
+      const blob = await canvasToBlob(image);
+      // PNGs are already compressed, so store them as-is
+      files[`frame_${String(index).padStart(5, '0')}.png`] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+    },
+    async finish() {
+      return new Blob([zipSync(files)], { type: 'application/zip' });
+    },
+    close() {}
+  };
+}
+
+function createWebMWriter(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('This browser does not support WebCodecs, export a PNG sequence instead');
+  }
+  
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width, height, frameRate: fps }
+  });
+  
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (err) => encoderError = err
+  });
+  encoder.configure({
+    codec: 'vp09.00.10.08',
+    width,
+    height,
+    framerate: fps,
+    bitrate: Math.round(width * height * fps * 0.15)
+  });
+  
+  return {
+    async addFrame(image, index) {
+      if (encoderError) throw encoderError;
+      
+      // Timestamps come from the frame index, not the wall clock
+      const frame = new VideoFrame(image, {
+        timestamp: Math.round(index * 1e6 / fps),
+        duration: Math.round(1e6 / fps)
+      });
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+      frame.close();
+      
+      // Back-pressure so frames don't pile up in memory
+      while (encoder.encodeQueueSize > 4) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (encoderError) throw encoderError;
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    },
+    // Frees the encoder after a cancel or error; safe to call after finish()
+    close() {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+  };
+}
+
+document.getElementById('btn-export-animation').addEventListener('click', async () => {
+  if (animationExport) {
+    animationExport.cancelled = true;
+    return;
+  }
+  
+  let { width, height } = getRenderSize();
+  const format = document.getElementById('export-format').value;
+  const mode = document.getElementById('export-source').value;
+  // VP9 needs even dimensions
+  if (format === 'webm') {
+    width -= width % 2;
+    height -= height % 2;
+  }
+  
+  const button = document.getElementById('btn-export-animation');
+  button.textContent = 'Cancel Export';
+  
+  try {
+    const blob = await exportCameraAnimation({
+      mode,
+      format,
+      width,
+      height,
+      fps: parseInt(document.getElementById('export-fps').value),
+      supersample: parseInt(document.getElementById('render-supersample').value)
+    });
+    downloadBlob(blob, `${mode}-${width}x${height}.${format === 'webm' ? 'webm' : 'zip'}`);
+    setExportProgress('Done');
+  } catch (err) {
+    setExportProgress(err.message);
+  } finally {
+    button.textContent = 'Export Animation';
+  }
+});
+
+// Batch Rendering
+// A job file renders every preset × view combination into one zip:
+// {
+//   "name": "maquette-overnight",
+//   "width": 1920, "height": 1080, "supersample": 2, "transparent": false,
+//   "presets": ["Dusk", { "name": "Noon", "settings": { "dirIntensity": 3 } }],
+//   "views": ["Gate", { "name": "Aerial", "position": [0, 2, 1], "target": [0, 0, 0], "fov": 40 }]
+// }
+// Strings refer to saved look presets and camera bookmarks. Inline settings may be partial; missing
+// fields keep their current value. Size and quality default to the Render tab, presets and views
+// default to the current look and view. As with the Render button, transparency only applies to looks
+// that hide the HDR background. Clips hold still for the whole run, so a rerun gives the same images.
+let batchRender = null; // { cancelled }
+
+function setBatchProgress(text) {
+  document.getElementById('batch-progress').textContent = text;
+}
+
+function getBatchFileName(name) {
+  return name.replace(/[^\w.-]+/g, '_');
+}
+
+function getBatchImageName(preset, view) {
+  return `${getBatchFileName(preset.name)}__${getBatchFileName(view.name)}.png`;
+}
+
+// Resolves names and checks every entry before anything is rendered
+function resolveBatchJob(job) {
+  if (!isPlainObject(job)) throw new Error('The batch job must be a JSON object');
+  
+  const current = getCurrentSettings();
+  const presets = (job.presets || [{ name: 'current', settings: getLookSettings() }]).map((entry, i) => {
+    const preset = typeof entry === 'string' ? lookPresets.find(p => p.name === entry) : entry;
+    if (!isPlainObject(preset) || !isPlainObject(preset.settings)) {
+      throw new Error(`presets[${i}]: ${typeof entry === 'string' ? `no preset named "${entry}"` : 'needs a settings object'}`);
+    }
+    
+    const { settings, report } = validateSettings({ ...current, ...preset.settings });
+    if (!settings) throw new Error(`presets[${i}]: ${report.map(r => r.message).join(', ')}`);
+    report.forEach(r => console.warn(`Batch preset ${preset.name}: ${r.field} ${r.message}`));
+    return { name: preset.name || `preset${i + 1}`, settings };
+  });
+  
+  const views = (job.views || [{ name: 'current', ...getCameraView() }]).map((entry, i) => {
+    const view = typeof entry === 'string' ? cameraBookmarks.find(b => b.name === entry) : entry;
+    if (!view) throw new Error(`views[${i}]: no bookmark named "${entry}"`);
+    
+    const issues = [];
+    const valid = validateCameraView(isPlainObject(view) ? { fov: camera.fov, ...view } : view, m => issues.push(m));
+    if (!valid) throw new Error(`views[${i}]: ${issues.join(', ')}`);
+    return { ...valid, name: view.name || `view${i + 1}` };
+  });
+  
+  // Names are sanitized for the zip, so "Dusk 1" and "Dusk_1" would overwrite each other
+  const imageNames = new Set();
+  presets.forEach(preset => views.forEach((view) => {
+    const name = getBatchImageName(preset, view);
+    if (imageNames.has(name)) {
+      throw new Error(`"${preset.name}" × "${view.name}" would overwrite ${name}, give presets and views distinct names`);
+    }
+    imageNames.add(name);
+  }));
+  
+  const size = getRenderSize();
+  return {
+    name: job.name || 'batch',
+    width: job.width || size.width,
+    height: job.height || size.height,
+    supersample: job.supersample || parseInt(document.getElementById('render-supersample').value),
+    transparent: job.transparent ?? document.getElementById('render-transparent').checked,
+    presets,
+    views
+  };
+}
+
+// Renders the whole matrix and resolves to a zip of <preset>__<view>.png files
+async function runBatchRender(job) {
+  if (batchRender || animationExport) throw new Error('A render is already running');
+  
+  const { width, height, supersample, transparent, presets, views } = resolveBatchJob(job);
+  const total = presets.length * views.length;
+  const files = {};
+  
+  const savedSettings = getCurrentSettings();
+  stopCameraAnimation();
+  cameraTransition = null;
+  controls.enabled = false;
+  Object.keys(moveState).forEach(key => moveState[key] = false);
+  batchRender = { cancelled: false };
+  
+  try {
+    let done = 0;
+    for (const preset of presets) {
+      applySettings(preset.settings);
+      
+      for (const view of views) {
+        if (batchRender.cancelled) throw new Error('Batch cancelled');
+        
+        // Models or an HDR may still be streaming in, e.g. right after startup
+        await waitForLoads();
+        
+        setCameraView(view);
+        camera.lookAt(controls.target);
+        const image = renderImage(width, height, { supersample, transparent: transparent && !preset.settings.hdrBackground });
+        const name = getBatchImageName(preset, view);
+        const blob = await canvasToBlob(image);
+        files[name] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+        
+        done++;
+        setBatchProgress(`${done} / ${total}: ${name}`);
+        emitSceneEvent('batchprogress', { done, total, name });
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+    
+    return new Blob([zipSync(files)], { type: 'application/zip' });
+  } finally {
+    batchRender = null;
+    applySettings(savedSettings);
+    controls.enabled = true;
+    controls.update();
+  }
+}
+
+// Runs a job and downloads the zip; used by the Render tab and by ?batch=job.json
+async function runBatchJob(job) {
+  const button = document.getElementById('btn-batch-render');
+  button.textContent = 'Cancel Batch';
+  try {
+    const blob = await runBatchRender(job);
+    const filename = `${getBatchFileName(job.name || 'batch')}.zip`;
+    downloadBlob(blob, filename);
+    setBatchProgress('Done');
+    emitSceneEvent('batchdone', { blob, filename });
+  } catch (err) {
+    setBatchProgress(err.message);
+    emitSceneEvent('batchdone', { error: err.message });
+  } finally {
+    button.textContent = 'Run Batch Job';
+  }
+}
+
+document.getElementById('btn-batch-render').addEventListener('click', () => {
+  if (batchRender) {
+    batchRender.cancelled = true;
+    return;
+  }
+  document.getElementById('batch-file-input').click();
+});
+
+document.getElementById('batch-file-input').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  e.target.value = '';
+  
+  let job;
+  try {
+    job = JSON.parse(await file.text());
+  } catch (err) {
+    setBatchProgress('Not valid JSON: ' + err.message);
+    return;
+  }
+  runBatchJob(job);
 });
 
 // WASD Controls
@@ -688,11 +3488,19 @@ const moveState = {
 const moveSpeed = 0.003;
 const moveSpeedFast = 0.01;
 
+function isCameraMoving() {
+  return moveState.forward || moveState.backward || moveState.left || moveState.right || moveState.up || moveState.down;
+}
+
 document.addEventListener('keydown', (e) => {
   // Ignore if typing in an input field
   if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+  if (e.ctrlKey || e.metaKey) return;
+  
+  const wasMoving = isCameraMoving();
   
   switch (e.code) {
+    case 'Escape': selectObject(null); break;
     case 'KeyW': moveState.forward = true; break;
     case 'KeyS': moveState.backward = true; break;
     case 'KeyA': moveState.left = true; break;
@@ -702,9 +3510,13 @@ document.addEventListener('keydown', (e) => {
     case 'ShiftLeft':
     case 'ShiftRight': moveState.shift = true; break;
   }
+  
+  if (!wasMoving && isCameraMoving()) beginCameraChange();
 });
 
 document.addEventListener('keyup', (e) => {
+  const wasMoving = isCameraMoving();
+  
   switch (e.code) {
     case 'KeyW': moveState.forward = false; break;
     case 'KeyS': moveState.backward = false; break;
@@ -715,6 +3527,8 @@ document.addEventListener('keyup', (e) => {
     case 'ShiftLeft':
     case 'ShiftRight': moveState.shift = false; break;
   }
+  
+  if (wasMoving && !isCameraMoving()) endCameraChange('Move camera');
 });
 
 function updateMovement() {
@@ -751,23 +3565,475 @@ function updateMovement() {
     controls.target.y -= speed;
   }
 }
-// Animate
-function animate() {
-  requestAnimationFrame(animate);
-  updateMovement();
-  controls.update();
-  composer.render();
-  updateStats();
-}
-
 // ============================================
-// SETTINGS SAVE/LOAD SYSTEM
+// UNDO / REDO HISTORY
+// ============================================
+
+// Commands are { label, undo(), redo() }. redo() usually re-runs the original action,
+// which is safe because nothing is recorded while history is replaying.
+const undoStack = [];
+const redoStack = [];
+const maxHistory = 200;
+let historyReplaying = false;
+
+function pushHistory(command) {
+  if (historyReplaying) return;
+  undoStack.push(command);
+  if (undoStack.length > maxHistory) undoStack.shift();
+  redoStack.length = 0;
+  buildHistoryList();
+  emitSceneEvent('change', { label: command.label });
+}
+
+function replayHistory(command, direction) {
+  historyReplaying = true;
+  try {
+    command[direction]();
+  } finally {
+    historyReplaying = false;
+  }
+  // Commands may hold inputs from panels that were rebuilt since, so redraw the generated panels
+  updateMaterialInspector(selectedMaterial);
+  refreshUserLightCards();
+  emitSceneEvent('change', { label: command.label, direction });
+}
+
+function undo() {
+  const command = undoStack.pop();
+  if (!command) return;
+  replayHistory(command, 'undo');
+  redoStack.push(command);
+  buildHistoryList();
+}
+
+function redo() {
+  const command = redoStack.pop();
+  if (!command) return;
+  replayHistory(command, 'redo');
+  undoStack.push(command);
+  buildHistoryList();
+}
+
+// Loading a settings file starts a new baseline
+function clearHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  buildHistoryList();
+}
+
+function buildHistoryList() {
+  const container = document.getElementById('history-list');
+  container.innerHTML = '';
+  
+  const addItem = (label, className, onClick) => {
+    const div = document.createElement('div');
+    div.className = 'list-item ' + className;
+    const name = document.createElement('span');
+    name.className = 'list-item-name';
+    name.textContent = label;
+    div.appendChild(name);
+    div.addEventListener('click', onClick);
+    container.appendChild(div);
+  };
+  
+  // Oldest first; clicking an entry steps the history to just after it
+  addItem('Initial state', undoStack.length === 0 ? 'current' : '', () => {
+    while (undoStack.length) undo();
+  });
+  undoStack.forEach((command, i) => {
+    addItem(command.label, i === undoStack.length - 1 ? 'current' : '', () => {
+      while (undoStack.length > i + 1) undo();
+    });
+  });
+  [...redoStack].reverse().forEach((command, i) => {
+    addItem(command.label, 'undone', () => {
+      for (let n = 0; n <= i; n++) redo();
+    });
+  });
+  
+  document.getElementById('btn-undo').disabled = undoStack.length === 0;
+  document.getElementById('btn-redo').disabled = redoStack.length === 0;
+}
+
+// Panel Controls
+// Every tracked input records its value when an interaction starts and becomes one entry on 'change',
+// so a whole slider drag or color-picker session collapses into a single step.
+const pendingInputValues = new Map();
+
+function isHistoryInput(el) {
+  return (el.tagName === 'INPUT' || el.tagName === 'SELECT') &&
+    el.type !== 'file' && el.type !== 'text' &&
+    !el.closest('[data-no-history]');
+}
+
+function readInputValue(el) {
+  return el.type === 'checkbox' ? el.checked : el.value;
+}
+
+function writeInputValue(el, value) {
+  if (el.type === 'checkbox') el.checked = value;
+  else el.value = value;
+  el.dispatchEvent(new Event('input'));
+  el.dispatchEvent(new Event('change'));
+}
+
+function describeInput(el) {
+  const row = el.closest('.slider-row, .inspector-row');
+  const label = row?.querySelector('label, .label')?.textContent || el.id;
+  
+  let context = '';
+  const card = el.closest('.light-card');
+  if (card) {
+    context = card.querySelector('.light-card-header span').textContent;
+  } else if (el.closest('#material-inspector')) {
+    context = selectedMaterial ? getMaterialKey(selectedMaterial) : 'Material';
+  } else {
+    let prev = row?.previousElementSibling;
+    while (prev && !prev.classList.contains('section-title')) prev = prev.previousElementSibling;
+    context = prev?.textContent || '';
+  }
+  
+  return context ? `${context} › ${label}` : label;
+}
+
+function recordInputStart(e) {
+  const el = e.target;
+  if (!isHistoryInput(el) || pendingInputValues.has(el)) return;
+  pendingInputValues.set(el, { value: readInputValue(el), label: describeInput(el) });
+}
+
+const panel = document.getElementById('panel');
+panel.addEventListener('pointerdown', recordInputStart, true);
+panel.addEventListener('focusin', recordInputStart, true);
+panel.addEventListener('keydown', recordInputStart, true);
+
+panel.addEventListener('change', (e) => {
+  const el = e.target;
+  const pending = pendingInputValues.get(el);
+  if (!pending || historyReplaying) return;
+  pendingInputValues.delete(el);
+  
+  const before = pending.value;
+  const after = readInputValue(el);
+  if (before === after) return;
+  
+  pushHistory({
+    label: pending.label,
+    undo: () => writeInputValue(el, before),
+    redo: () => writeInputValue(el, after)
+  });
+}, true);
+
+// Camera
+let cameraChangeStart = null;
+
+function setCameraView(view) {
+  cameraTransition = null;
+  applyCameraView(view);
+  setCameraFov(view.fov);
+}
+
+let cameraSettle = null; // { frame, moved } while damping carries the camera on after an orbit
+
+function beginCameraChange() {
+  // Grabbing the camera again while it still glides continues the same change
+  if (cameraSettle) {
+    cancelAnimationFrame(cameraSettle.frame);
+    cameraSettle = null;
+    return;
+  }
+  cameraChangeStart = getCameraView();
+}
+
+function endCameraChange(label) {
+  if (!cameraChangeStart) return;
+  const before = cameraChangeStart;
+  const after = getCameraView();
+  cameraChangeStart = null;
+  if (before.position.every((v, i) => v === after.position[i]) && before.target.every((v, i) => v === after.target[i])) return;
+  
+  pushHistory({
+    label,
+    undo: () => setCameraView(before),
+    redo: () => setCameraView(after)
+  });
+}
+
+// Damping keeps the camera moving after the pointer is released, so the orbit is recorded
+// once a frame passes without the controls reporting a change
+function endCameraChangeWhenSettled(label) {
+  const check = () => {
+    if (cameraSettle.moved) {
+      cameraSettle.moved = false;
+      cameraSettle.frame = requestAnimationFrame(check);
+      return;
+    }
+    cameraSettle = null;
+    endCameraChange(label);
+  };
+  cameraSettle = { frame: requestAnimationFrame(check), moved: false };
+}
+
+controls.addEventListener('start', beginCameraChange);
+controls.addEventListener('change', () => {
+  if (cameraSettle) cameraSettle.moved = true;
+});
+controls.addEventListener('end', () => endCameraChangeWhenSettled('Orbit camera'));
+
+// Shortcuts: Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), Ctrl+Y as an alternative redo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  // Leave text fields their native undo
+  if (e.target.tagName === 'TEXTAREA' || ['text', 'number', 'date'].includes(e.target.type)) return;
+  
+  if (e.code === 'KeyZ') {
+    e.preventDefault();
+    if (e.shiftKey) redo();
+    else undo();
+  } else if (e.code === 'KeyY') {
+    e.preventDefault();
+    redo();
+  }
+});
+
+document.getElementById('btn-undo').addEventListener('click', undo);
+document.getElementById('btn-redo').addEventListener('click', redo);
+
+buildHistoryList();
+
+// Animate
+function animate() {
+  requestAnimationFrame(animate);
+  // Taken every frame so clips don't jump forward after an export
+  const delta = animationClock.getDelta();
+  // The animation export drives rendering itself
+  if (animationExport) return;
+  // Batch stills keep clips at the time each preset's settings put them
+  if (!batchRender) updateModelAnimations(delta);
+  updateMovement();
+  updateCameraTransition();
+  updateCameraAnimation();
+  controls.update();
+  renderViewport();
+  updateStats();
+}
+
+// ============================================
+// DEBUG VIEWS
+// ============================================
+
+// Viewport shading modes for diagnosing models. Material views map every material in stats.materials
+// to a debug material and swap them onto the meshes only for the viewport render, putting the originals
+// straight back, so stills, exports, picking and the material editor never see them.
+// Debug views skip tone mapping, bloom and color correction so they show the raw values.
+const OverdrawHeatmapShader = {
+  uniforms: {
+    tDiffuse: { value: null }
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    varying vec2 vUv;
+    
+    void main() {
+      // Each layer adds 1/16, so 16 or more overlapping surfaces read as red
+      float t = clamp(texture2D(tDiffuse, vUv).r, 0.0, 1.0);
+      vec3 heat = t < 0.5
+        ? mix(vec3(0.0, 0.0, 0.6), vec3(0.0, 1.0, 0.0), t * 2.0)
+        : mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), t * 2.0 - 1.0);
+      gl_FragColor = vec4(t > 0.0 ? heat : vec3(0.0), 1.0);
+    }
+  `
+};
+
+const debugComposer = new EffectComposer(renderer);
+debugComposer.addPass(new RenderPass(scene, camera));
+const heatmapPass = new ShaderPass(OverdrawHeatmapShader);
+debugComposer.addPass(heatmapPass);
+debugComposer.addPass(new OutputPass());
+
+let checkerTexture = null;
+
+// Lettered, hue-coded cells make stretching, seams and flipped islands easy to spot
+function getCheckerTexture() {
+  if (checkerTexture) return checkerTexture;
+  const size = 512;
+  const cells = 8;
+  const cell = size / cells;
+  const checker = document.createElement('canvas');
+  checker.width = checker.height = size;
+  const ctx = checker.getContext('2d');
+  ctx.font = `bold ${cell * 0.35}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (let y = 0; y < cells; y++) {
+    for (let x = 0; x < cells; x++) {
+      ctx.fillStyle = `hsl(${x * 360 / cells}, 60%, ${(x + y) % 2 ? 35 : 65}%)`;
+      ctx.fillRect(x * cell, y * cell, cell, cell);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(String.fromCharCode(65 + x) + (y + 1), (x + 0.5) * cell, (y + 0.5) * cell);
+    }
+  }
+  checkerTexture = new THREE.CanvasTexture(checker);
+  checkerTexture.colorSpace = THREE.SRGBColorSpace;
+  checkerTexture.wrapS = checkerTexture.wrapT = THREE.RepeatWrapping;
+  // glTF UVs start at the top left
+  checkerTexture.flipY = false;
+  return checkerTexture;
+}
+
+// The given properties the source material actually has
+function pickMaterialProps(mat, props) {
+  const params = {};
+  props.forEach(prop => {
+    if (mat[prop] !== undefined && mat[prop] !== null) params[prop] = mat[prop];
+  });
+  return params;
+}
+
+// create(mat) builds the debug material standing in for mat; overlay draws on top of the shaded view
+const debugViews = {
+  shaded: {},
+  wireframe: { overlay: true },
+  normals: {
+    create: (mat) => {
+      const material = new THREE.MeshNormalMaterial(pickMaterialProps(mat, ['side', 'flatShading', 'normalMap', 'normalScale']));
+      // MeshNormalMaterial shows view space normals
+      material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = shader.fragmentShader.replace(
+          'packNormalToRGB( normal )',
+          'packNormalToRGB( inverseTransformDirection( normal, viewMatrix ) )'
+        );
+      };
+      return material;
+    }
+  },
+  uv: {
+    create: (mat) => new THREE.MeshBasicMaterial({ ...pickMaterialProps(mat, ['side']), map: getCheckerTexture() })
+  },
+  albedo: {
+    create: (mat) => new THREE.MeshBasicMaterial(pickMaterialProps(mat, [
+      'side', 'color', 'map', 'vertexColors', 'transparent', 'opacity', 'alphaTest', 'alphaMap'
+    ]))
+  },
+  lighting: {
+    create: (mat) => new THREE.MeshStandardMaterial({
+      ...pickMaterialProps(mat, ['side', 'flatShading', 'roughness', 'roughnessMap', 'normalMap', 'normalScale', 'aoMap', 'aoMapIntensity']),
+      color: 0xffffff,
+      metalness: 0
+    })
+  },
+  roughnessMetalness: {
+    create: (mat) => {
+      const material = new THREE.MeshStandardMaterial(pickMaterialProps(mat, ['side', 'roughness', 'roughnessMap', 'metalness', 'metalnessMap']));
+      // Roughness in red, metalness in green
+      material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = shader.fragmentShader.replace(
+          '#include <opaque_fragment>',
+          'gl_FragColor = vec4( roughnessFactor, metalnessFactor, 0.0, 1.0 );'
+        );
+      };
+      return material;
+    }
+  },
+  overdraw: {
+    heatmap: true,
+    create: (mat) => new THREE.MeshBasicMaterial({
+      ...pickMaterialProps(mat, ['side']),
+      color: new THREE.Color(1 / 16, 1 / 16, 1 / 16),
+      blending: THREE.AdditiveBlending,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    })
+  }
+};
+
+let debugView = 'shaded';
+const debugMaterials = new Map(); // original material -> debug material for the current view
+let debugMeshes = []; // meshes of the loaded models
+
+function rebuildDebugMaterials() {
+  debugMaterials.forEach(material => material.dispose());
+  debugMaterials.clear();
+  debugMeshes = [];
+  
+  const { create } = debugViews[debugView];
+  if (!create) return;
+  stats.materials.forEach(mat => debugMaterials.set(mat, create(mat)));
+  loadedModels.forEach(({ root }) => root.traverse((child) => {
+    if (child.isMesh) debugMeshes.push(child);
+  }));
+}
+
+// Follows edits made to an original material while a debug view is showing
+function refreshDebugMaterial(mat) {
+  const material = debugMaterials.get(mat);
+  if (!material) return;
+  material.dispose();
+  debugMaterials.set(mat, debugViews[debugView].create(mat));
+}
+
+function setDebugView(mode) {
+  debugView = debugViews[mode] ? mode : 'shaded';
+  document.getElementById('debug-view').value = debugView;
+  rebuildDebugMaterials();
+}
+
+document.getElementById('debug-view').addEventListener('change', (e) => setDebugView(e.target.value));
+
+function renderViewport() {
+  const view = debugViews[debugView];
+  if (!view.create) {
+    wireframePass.enabled = !!view.overlay;
+    composer.render();
+    wireframePass.enabled = false;
+    return;
+  }
+  
+  const originals = debugMeshes.map(mesh => mesh.material);
+  debugMeshes.forEach((mesh) => {
+    mesh.material = Array.isArray(mesh.material)
+      ? mesh.material.map(mat => debugMaterials.get(mat) || mat)
+      : debugMaterials.get(mesh.material) || mesh.material;
+  });
+  const toneMapping = renderer.toneMapping;
+  const background = scene.background;
+  renderer.toneMapping = THREE.NoToneMapping;
+  if (view.heatmap) scene.background = null;
+  heatmapPass.enabled = !!view.heatmap;
+  
+  try {
+    debugComposer.render();
+  } finally {
+    debugMeshes.forEach((mesh, i) => mesh.material = originals[i]);
+    renderer.toneMapping = toneMapping;
+    scene.background = background;
+  }
+}
+
+// ============================================
+// SETTINGS SAVE/LOAD SYSTEM
 // ============================================
 
 function getCurrentSettings() {
   return {
+    version: settingsVersion,
+    
     // Camera
     cameraFov: parseFloat(document.getElementById('camera-fov').value),
+    cameraPosition: camera.position.toArray(),
+    cameraTarget: controls.target.toArray(),
+    cameraBookmarks: structuredClone(cameraBookmarks),
+    cameraPath: structuredClone(cameraPath),
+    turntableSpeed: parseFloat(document.getElementById('turntable-speed').value),
+    turntableRadius: parseFloat(document.getElementById('turntable-radius').value),
     
     // Environment
     hdrIntensity: parseFloat(document.getElementById('hdr-intensity').value),
@@ -784,6 +4050,10 @@ function getCurrentSettings() {
     dirDirection: parseFloat(document.getElementById('dir-direction').value),
     dirElevation: parseFloat(document.getElementById('dir-elevation').value),
     
+    // Sun Position
+    sunMode: document.getElementById('sun-mode').checked,
+    ...getSunSettings(),
+    
     // Shadows
     shadowType: parseInt(document.getElementById('shadow-type').value),
     shadowsEnabled: document.getElementById('shadows-enabled').checked,
@@ -807,7 +4077,22 @@ function getCurrentSettings() {
     bloomEnabled: document.getElementById('bloom-enabled').checked,
     bloomIntensity: parseFloat(document.getElementById('bloom-intensity').value),
     bloomThreshold: parseFloat(document.getElementById('bloom-threshold').value),
-    bloomRadius: parseFloat(document.getElementById('bloom-radius').value)
+    bloomRadius: parseFloat(document.getElementById('bloom-radius').value),
+    
+    // Materials
+    materials: structuredClone(materialOverrides),
+    
+    // Outliner
+    objects: structuredClone(objectOverrides),
+    
+    // Model Placement
+    modelTransforms: getModelTransforms(),
+    
+    // Model Animations
+    animations: getModelAnimations(),
+    
+    // User Lights
+    lights: userLights.map(serializeUserLight)
   };
 }
 
@@ -817,6 +4102,29 @@ function applySettings(settings) {
     document.getElementById('camera-fov').value = settings.cameraFov;
     document.getElementById('camera-fov').dispatchEvent(new Event('input'));
   }
+  if (settings.cameraPosition && settings.cameraTarget) {
+    cameraTransition = null;
+    camera.position.fromArray(settings.cameraPosition);
+    controls.target.fromArray(settings.cameraTarget);
+    controls.update();
+  }
+  if (settings.cameraBookmarks) {
+    cameraBookmarks = structuredClone(settings.cameraBookmarks);
+    buildBookmarkList();
+  }
+  if (settings.cameraPath) {
+    stopCameraAnimation();
+    cameraPath = structuredClone(settings.cameraPath);
+    document.getElementById('path-duration').value = cameraPath.duration;
+    document.getElementById('path-duration').dispatchEvent(new Event('input'));
+    document.getElementById('path-loop').checked = cameraPath.loop;
+  }
+  if (settings.turntableSpeed !== undefined) {
+    document.getElementById('turntable-speed').value = settings.turntableSpeed;
+    document.getElementById('turntable-speed').dispatchEvent(new Event('input'));
+    document.getElementById('turntable-radius').value = settings.turntableRadius;
+    document.getElementById('turntable-radius').dispatchEvent(new Event('input'));
+  }
   
   // Environment
   document.getElementById('hdr-intensity').value = settings.hdrIntensity;
@@ -848,6 +4156,20 @@ function applySettings(settings) {
   document.getElementById('dir-elevation').value = settings.dirElevation;
   document.getElementById('dir-elevation').dispatchEvent(new Event('input'));
   
+  // Sun Position
+  if (settings.sunMode !== undefined) {
+    document.getElementById('sun-latitude').value = settings.sunLatitude;
+    document.getElementById('sun-longitude').value = settings.sunLongitude;
+    document.getElementById('sun-date').value = settings.sunDate;
+    document.getElementById('sun-utc-offset').value = settings.sunUtcOffset;
+    document.getElementById('sun-north-offset').value = settings.sunNorthOffset;
+    document.getElementById('sun-north-offset').dispatchEvent(new Event('input'));
+    document.getElementById('sun-time').value = settings.sunTime;
+    document.getElementById('sun-time').dispatchEvent(new Event('input'));
+    document.getElementById('sun-mode').checked = settings.sunMode;
+    document.getElementById('sun-mode').dispatchEvent(new Event('change'));
+  }
+  
   // Shadows
   document.getElementById('shadow-type').value = settings.shadowType;
   document.getElementById('shadow-type').dispatchEvent(new Event('change'));
@@ -889,139 +4211,1919 @@ function applySettings(settings) {
   document.getElementById('bloom-threshold').dispatchEvent(new Event('input'));
   document.getElementById('bloom-radius').value = settings.bloomRadius;
   document.getElementById('bloom-radius').dispatchEvent(new Event('input'));
+  
+  // Materials
+  if (settings.materials) {
+    materialOverrides = structuredClone(settings.materials);
+    applyMaterialOverrides();
+    updateMaterialInspector(selectedMaterial);
+  }
+  
+  // User Lights
+  if (settings.lights) {
+    syncUserLights(settings.lights);
+  }
+  
+  // Outliner
+  if (settings.objects) {
+    objectOverrides = structuredClone(settings.objects);
+    applyObjectOverrides();
+    treeItems.forEach((div, object) => updateTreeFlags(object));
+  }
+  
+  // Model Placement
+  if (settings.modelTransforms) {
+    modelTransforms = structuredClone(settings.modelTransforms);
+    loadedModels.forEach(model => {
+      applyModelTransform(model.root);
+      updateModelTransformInputs(model);
+    });
+  }
+  
+  // Model Animations
+  if (settings.animations) {
+    modelAnimations = structuredClone(settings.animations);
+    loadedModels.forEach(applyModelAnimation);
+  }
 }
 
-function generateJSCode(settings) {
-  return `// ===== SAVED SETTINGS =====
-// Camera
-camera.fov = ${settings.cameraFov};
-camera.updateProjectionMatrix();
+// ============================================
+// SETTINGS SCHEMA, VALIDATION & MIGRATIONS
+// ============================================
 
-// Environment
-scene.environmentIntensity = ${settings.hdrIntensity};
-scene.environmentRotation.y = ${settings.hdrRotation} * Math.PI / 180;
-scene.background = ${settings.hdrBackground} ? envMap : new THREE.Color(0x33334e);
+const settingsVersion = 4;
 
-// Ambient Light
-ambientLight.color.set('${settings.ambientColor}');
-ambientLight.intensity = ${settings.ambientIntensity};
+// Each entry upgrades settings from that version to the next one
+const settingsMigrations = {
+  // v1 files are unversioned and only hold the panel sliders. v2 added sun mode, camera
+  // bookmarks/paths, material and outliner overrides and user lights, which start from defaults.
+  1: (settings) => {
+    [
+      'turntableSpeed', 'turntableRadius',
+      'sunMode', 'sunLatitude', 'sunLongitude', 'sunDate', 'sunTime', 'sunUtcOffset', 'sunNorthOffset',
+      'cameraBookmarks', 'cameraPath', 'materials', 'objects', 'lights'
+    ].forEach(field => {
+      if (settings[field] === undefined) settings[field] = getSettingDefault(field);
+    });
+    return settings;
+  },
+  // v3 added model root placement
+  2: (settings) => {
+    if (settings.modelTransforms === undefined) settings.modelTransforms = getSettingDefault('modelTransforms');
+    return settings;
+  },
+  // v4 added glTF animation playback
+  3: (settings) => {
+    if (settings.animations === undefined) settings.animations = getSettingDefault('animations');
+    return settings;
+  }
+};
 
-// Directional Light
-dirLight.color.set('${settings.dirColor}');
-dirLight.intensity = ${settings.dirIntensity};
-// Direction: ${settings.dirDirection}°, Elevation: ${settings.dirElevation}°
-const direction = ${settings.dirDirection} * Math.PI / 180;
-const elevation = ${settings.dirElevation} * Math.PI / 180;
-const distance = 10;
-dirLight.position.x = Math.sin(direction) * Math.cos(elevation) * distance;
-dirLight.position.y = Math.sin(elevation) * distance;
-dirLight.position.z = Math.cos(direction) * Math.cos(elevation) * distance;
+// Fields backed by a panel control take their type, range and default from the control itself
+const settingsInputs = {
+  cameraFov: 'camera-fov',
+  turntableSpeed: 'turntable-speed',
+  turntableRadius: 'turntable-radius',
+  hdrIntensity: 'hdr-intensity',
+  hdrRotation: 'hdr-rotation',
+  hdrBackground: 'hdr-background',
+  ambientColor: 'ambient-color',
+  ambientIntensity: 'ambient-intensity',
+  dirColor: 'dir-color',
+  dirIntensity: 'dir-intensity',
+  dirDirection: 'dir-direction',
+  dirElevation: 'dir-elevation',
+  sunMode: 'sun-mode',
+  sunLatitude: 'sun-latitude',
+  sunLongitude: 'sun-longitude',
+  sunDate: 'sun-date',
+  sunTime: 'sun-time',
+  sunUtcOffset: 'sun-utc-offset',
+  sunNorthOffset: 'sun-north-offset',
+  shadowType: 'shadow-type',
+  shadowsEnabled: 'shadows-enabled',
+  shadowBias: 'shadow-bias',
+  shadowNormalBias: 'shadow-normal-bias',
+  shadowMapSize: 'shadow-map-size',
+  shadowRadius: 'shadow-radius',
+  shadowCameraSize: 'shadow-camera-size',
+  toneMappingType: 'tone-mapping-type',
+  exposure: 'exposure',
+  colorCorrectionEnabled: 'color-correction-enabled',
+  saturation: 'saturation',
+  contrast: 'contrast',
+  brightness: 'brightness',
+  bloomEnabled: 'bloom-enabled',
+  bloomIntensity: 'bloom-intensity',
+  bloomThreshold: 'bloom-threshold',
+  bloomRadius: 'bloom-radius'
+};
 
-// Shadows
-renderer.shadowMap.type = THREE.${['BasicShadowMap', 'PCFShadowMap', 'PCFSoftShadowMap', 'VSMShadowMap'][settings.shadowType]};
-renderer.shadowMap.enabled = ${settings.shadowsEnabled};
-dirLight.castShadow = ${settings.shadowsEnabled};
-dirLight.shadow.bias = ${settings.shadowBias};
-dirLight.shadow.normalBias = ${settings.shadowNormalBias};
-dirLight.shadow.mapSize.width = ${settings.shadowMapSize};
-dirLight.shadow.mapSize.height = ${settings.shadowMapSize};
-dirLight.shadow.radius = ${settings.shadowRadius};
-dirLight.shadow.camera.left = -${settings.shadowCameraSize};
-dirLight.shadow.camera.right = ${settings.shadowCameraSize};
-dirLight.shadow.camera.top = ${settings.shadowCameraSize};
-dirLight.shadow.camera.bottom = -${settings.shadowCameraSize};
+// Structured fields; optional ones are left alone when missing instead of being reset
+const settingsStructures = {
+  cameraPosition: { optional: true, validate: (v, issue) => validateVector3(v, issue) },
+  cameraTarget: { optional: true, validate: (v, issue) => validateVector3(v, issue) },
+  cameraBookmarks: { default: () => [], validate: (v, issue) => validateArray(v, issue, validateCameraView) },
+  cameraPath: { default: () => ({ keyframes: [], duration: 10, loop: false }), validate: validateCameraPath },
+  materials: { default: () => ({}), validate: (v, issue) => validateRecord(v, issue, validateMaterialOverride) },
+  objects: { default: () => ({}), validate: (v, issue) => validateRecord(v, issue, validateObjectFlags) },
+  modelTransforms: { default: () => ({}), validate: (v, issue) => validateRecord(v, issue, validateModelTransform) },
+  animations: { default: () => ({}), validate: (v, issue) => validateRecord(v, issue, validateAnimationState) },
+  lights: { default: () => [], validate: (v, issue) => validateArray(v, issue, validateUserLight) }
+};
 
-// Tone Mapping
-renderer.toneMapping = THREE.${['NoToneMapping', 'LinearToneMapping', 'ReinhardToneMapping', 'CineonToneMapping', 'ACESFilmicToneMapping'][settings.toneMappingType]};
-renderer.toneMappingExposure = ${settings.exposure};
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
 
-// Color Correction
-colorPass.enabled = ${settings.colorCorrectionEnabled};
-colorPass.uniforms.saturation.value = ${settings.saturation};
-colorPass.uniforms.contrast.value = ${settings.contrast};
-colorPass.uniforms.brightness.value = ${settings.brightness};
+function isColorString(v) {
+  return typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+}
 
-// Bloom
-bloomPass.enabled = ${settings.bloomEnabled};
-bloomPass.strength = ${settings.bloomIntensity};
-bloomPass.threshold = ${settings.bloomThreshold};
-bloomPass.radius = ${settings.bloomRadius};
-// ===== END SAVED SETTINGS =====`;
+function toFiniteNumber(v) {
+  const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+  return typeof n === 'number' && isFinite(n) ? n : undefined;
 }
 
-// Save to LocalStorage
-document.getElementById('btn-save').addEventListener('click', () => {
-  const settings = getCurrentSettings();
-  localStorage.setItem('diriyah-settings', JSON.stringify(settings));
-  alert('Settings saved to browser!');
-});
+// Validates one value against a panel control. Returns the accepted value or undefined.
+function validateInputValue(el, value, issue) {
+  if (el.type === 'checkbox') {
+    if (typeof value === 'boolean') return value;
+    issue(`expected true/false, got ${JSON.stringify(value)}`);
+    return undefined;
+  }
+  
+  if (el.type === 'color') {
+    if (isColorString(value)) return value.toLowerCase();
+    issue(`expected a #rrggbb color, got ${JSON.stringify(value)}`);
+    return undefined;
+  }
+  
+  if (el.type === 'date') {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    issue(`expected a YYYY-MM-DD date, got ${JSON.stringify(value)}`);
+    return undefined;
+  }
+  
+  if (el.tagName === 'SELECT') {
+    const options = [...el.options].map(o => o.value);
+    if (options.includes(String(value))) return parseInt(value);
+    issue(`expected one of ${options.join(', ')}, got ${JSON.stringify(value)}`);
+    return undefined;
+  }
+  
+  // range / number
+  const n = toFiniteNumber(value);
+  if (n === undefined) {
+    issue(`expected a number, got ${JSON.stringify(value)}`);
+    return undefined;
+  }
+  if (typeof value !== 'number') issue(`converted ${JSON.stringify(value)} to ${n}`);
+  
+  const min = el.min !== '' ? parseFloat(el.min) : -Infinity;
+  const max = el.max !== '' ? parseFloat(el.max) : Infinity;
+  if (n < min || n > max) {
+    const clamped = Math.min(Math.max(n, min), max);
+    issue(`${n} is outside ${min}…${max}, clamped to ${clamped}`);
+    return clamped;
+  }
+  return n;
+}
 
-// Load from LocalStorage
-document.getElementById('btn-load').addEventListener('click', () => {
-  const savedSettings = localStorage.getItem('diriyah-settings');
-  if (savedSettings) {
-    try {
-      applySettings(JSON.parse(savedSettings));
-      alert('Settings loaded!');
-    } catch (err) {
-      alert('Error loading settings');
-    }
-  } else {
-    alert('No saved settings found');
+function getInputDefault(el) {
+  if (el.type === 'checkbox') return el.defaultChecked;
+  if (el.type === 'color' || el.type === 'date') return el.defaultValue;
+  if (el.tagName === 'SELECT') {
+    const option = [...el.options].find(o => o.defaultSelected) || el.options[0];
+    return parseInt(option.value);
   }
-});
+  return parseFloat(el.defaultValue);
+}
 
-// Export JSON
-document.getElementById('btn-export').addEventListener('click', () => {
-  const settings = getCurrentSettings();
-  const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'diriyah-settings.json';
-  a.click();
-  URL.revokeObjectURL(url);
-});
+function getSettingDefault(field) {
+  if (settingsInputs[field]) return getInputDefault(document.getElementById(settingsInputs[field]));
+  return settingsStructures[field].default();
+}
 
-// Import JSON
-document.getElementById('btn-import').addEventListener('click', () => {
-  document.getElementById('import-file').click();
-});
+function validateVector3(v, issue) {
+  if (Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number' && isFinite(n))) return v;
+  issue(`expected [x, y, z], got ${JSON.stringify(v)}`);
+  return undefined;
+}
 
-document.getElementById('import-file').addEventListener('change', (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
-  
-  const reader = new FileReader();
-  reader.onload = (event) => {
-    try {
-      const settings = JSON.parse(event.target.result);
-      applySettings(settings);
-      alert('Settings imported!');
-    } catch (err) {
-      alert('Error loading settings file');
-    }
-  };
-  reader.readAsText(file);
-  e.target.value = '';
-});
+function validateArray(v, issue, validateItem) {
+  if (!Array.isArray(v)) {
+    issue(`expected a list, got ${JSON.stringify(v)}`);
+    return undefined;
+  }
+  return v
+    .map((item, i) => validateItem(item, (message) => issue(`[${i}] ${message}`)))
+    .filter(item => item !== undefined);
+}
 
-// Copy Code
-document.getElementById('btn-copy-code').addEventListener('click', () => {
-  const settings = getCurrentSettings();
-  const code = generateJSCode(settings);
-  navigator.clipboard.writeText(code).then(() => {
-    alert('JS code copied to clipboard!');
+function validateRecord(v, issue, validateItem) {
+  if (!isPlainObject(v)) {
+    issue(`expected an object, got ${JSON.stringify(v)}`);
+    return undefined;
+  }
+  const result = {};
+  Object.entries(v).forEach(([key, item]) => {
+    const valid = validateItem(item, (message) => issue(`["${key}"] ${message}`));
+    if (valid !== undefined) result[key] = valid;
   });
+  return result;
+}
+
+function validateCameraView(v, issue) {
+  if (!isPlainObject(v)) {
+    issue('dropped, not an object');
+    return undefined;
+  }
+  const position = validateVector3(v.position, (m) => issue('position ' + m));
+  const target = validateVector3(v.target, (m) => issue('target ' + m));
+  const fov = toFiniteNumber(v.fov);
+  if (!position || !target) {
+    issue('dropped');
+    return undefined;
+  }
+  if (fov === undefined) issue('fov missing, using 45');
+  return { ...v, position, target, fov: fov === undefined ? 45 : Math.min(Math.max(fov, 10), 120) };
+}
+
+function validateCameraPath(v, issue) {
+  if (!isPlainObject(v)) {
+    issue(`expected an object, got ${JSON.stringify(v)}`);
+    return undefined;
+  }
+  const keyframes = validateArray(v.keyframes || [], (m) => issue('keyframes ' + m), (key, keyIssue) => {
+    const view = validateCameraView(key, keyIssue);
+    const time = toFiniteNumber(key && key.time);
+    if (!view) return undefined;
+    if (time === undefined || time < 0 || time > 1) {
+      keyIssue('time must be between 0 and 1, dropped');
+      return undefined;
+    }
+    return { ...view, time };
+  }) || [];
+  
+  let duration = toFiniteNumber(v.duration);
+  if (duration === undefined || duration < 1 || duration > 60) {
+    issue(`duration ${JSON.stringify(v.duration)} is invalid, using 10`);
+    duration = 10;
+  }
+  
+  return {
+    keyframes: keyframes.sort((a, b) => a.time - b.time),
+    duration,
+    loop: v.loop === true
+  };
+}
+
+const materialOverrideTypes = {
+  color: 'color',
+  emissive: 'color',
+  roughness: [0, 1],
+  metalness: [0, 1],
+  emissiveIntensity: [0, 10],
+  opacity: [0, 1],
+  envMapIntensity: [0, 3],
+  transparent: 'boolean',
+  wireframe: 'boolean',
+  side: [0, 2]
+};
+
+function validateMaterialOverride(v, issue) {
+  if (!isPlainObject(v)) {
+    issue('dropped, not an object');
+    return undefined;
+  }
+  const result = {};
+  Object.entries(v).forEach(([prop, value]) => {
+    const type = materialOverrideTypes[prop];
+    if (!type) {
+      issue(`unknown property "${prop}" ignored`);
+    } else if (type === 'color') {
+      if (isColorString(value)) result[prop] = value;
+      else issue(`${prop} is not a #rrggbb color, ignored`);
+    } else if (type === 'boolean') {
+      if (typeof value === 'boolean') result[prop] = value;
+      else issue(`${prop} is not true/false, ignored`);
+    } else {
+      const n = toFiniteNumber(value);
+      if (n === undefined) {
+        issue(`${prop} is not a number, ignored`);
+        return;
+      }
+      result[prop] = Math.min(Math.max(n, type[0]), type[1]);
+      if (result[prop] !== n) issue(`${prop} ${n} is outside ${type[0]}…${type[1]}, clamped to ${result[prop]}`);
+    }
+  });
+  return result;
+}
+
+function validateObjectFlags(v, issue) {
+  if (!isPlainObject(v)) {
+    issue('dropped, not an object');
+    return undefined;
+  }
+  const result = {};
+  Object.entries(v).forEach(([flag, value]) => {
+    if (!['visible', 'castShadow', 'receiveShadow'].includes(flag)) issue(`unknown flag "${flag}" ignored`);
+    else if (typeof value !== 'boolean') issue(`${flag} is not true/false, ignored`);
+    else result[flag] = value;
+  });
+  return result;
+}
+
+function validateModelTransform(v, issue) {
+  if (!isPlainObject(v)) {
+    issue('dropped, not an object');
+    return undefined;
+  }
+  const result = {};
+  Object.entries(v).forEach(([prop, value]) => {
+    if (!['position', 'rotation', 'scale'].includes(prop)) {
+      issue(`unknown property "${prop}" ignored`);
+      return;
+    }
+    const vector = validateVector3(value, (m) => issue(prop + ' ' + m));
+    if (vector) result[prop] = vector;
+  });
+  return result;
+}
+
+function validateAnimationState(v, issue) {
+  if (!isPlainObject(v) || typeof v.clip !== 'string') {
+    issue('dropped, no clip name');
+    return undefined;
+  }
+  const result = { clip: v.clip, time: 0, playing: true, loop: true, speed: 1 };
+  [['time', 0], ['speed', minAnimationSpeed]].forEach(([prop, min]) => {
+    if (v[prop] === undefined) return;
+    const n = toFiniteNumber(v[prop]);
+    if (n === undefined || n < min) issue(`${prop} is not a number ≥ ${min}, ignored`);
+    else result[prop] = n;
+  });
+  ['playing', 'loop'].forEach(prop => {
+    if (v[prop] === undefined) return;
+    if (typeof v[prop] === 'boolean') result[prop] = v[prop];
+    else issue(`${prop} is not true/false, ignored`);
+  });
+  return result;
+}
+
+function validateUserLight(v, issue) {
+  if (!isPlainObject(v) || !userLightTypes[v.type]) {
+    issue(`unknown light type ${JSON.stringify(v && v.type)}, dropped`);
+    return undefined;
+  }
+  const result = { type: v.type };
+  if (typeof v.name === 'string') result.name = v.name;
+  ['color', 'groundColor'].forEach(prop => {
+    if (v[prop] === undefined) return;
+    if (isColorString(v[prop])) result[prop] = v[prop];
+    else issue(`${prop} is not a #rrggbb color, ignored`);
+  });
+  ['intensity', 'distance', 'decay', 'angle', 'penumbra', 'width', 'height', 'shadowBias'].forEach(prop => {
+    if (v[prop] === undefined) return;
+    const n = toFiniteNumber(v[prop]);
+    if (n === undefined) issue(`${prop} is not a number, ignored`);
+    else result[prop] = n;
+  });
+  if (v.position !== undefined) {
+    const position = validateVector3(v.position, (m) => issue('position ' + m));
+    if (position) result.position = position;
+  }
+  if (v.castShadow !== undefined) {
+    if (typeof v.castShadow === 'boolean') result.castShadow = v.castShadow;
+    else issue('castShadow is not true/false, ignored');
+  }
+  return result;
+}
+
+function migrateSettings(raw, report) {
+  let settings = { ...raw };
+  let version = settings.version === undefined ? 1 : settings.version;
+  
+  if (!Number.isInteger(version) || version < 1) {
+    report.push({ field: 'version', message: `unknown version ${JSON.stringify(version)}, treated as 1` });
+    version = 1;
+  } else if (version > settingsVersion) {
+    report.push({ field: 'version', message: `written by a newer version (${version}), some fields may be ignored` });
+  }
+  
+  while (version < settingsVersion) {
+    settings = settingsMigrations[version](settings);
+    report.push({ field: 'version', message: `migrated from version ${version} to ${version + 1}` });
+    version++;
+  }
+  
+  settings.version = settingsVersion;
+  return settings;
+}
+
+// Returns complete settings (every field present and in range) plus a field-by-field report
+function validateSettings(raw) {
+  const report = [];
+  if (!isPlainObject(raw)) {
+    report.push({ field: '(file)', message: 'settings must be a JSON object' });
+    return { settings: null, report };
+  }
+  
+  const migrated = migrateSettings(raw, report);
+  const settings = { version: settingsVersion };
+  
+  Object.entries(settingsInputs).forEach(([field, id]) => {
+    const el = document.getElementById(id);
+    const fallback = getInputDefault(el);
+    const issue = (message) => report.push({ field, message });
+    
+    if (migrated[field] === undefined) {
+      issue(`missing, using default ${JSON.stringify(fallback)}`);
+      settings[field] = fallback;
+      return;
+    }
+    
+    const value = validateInputValue(el, migrated[field], issue);
+    if (value === undefined) issue(`using default ${JSON.stringify(fallback)}`);
+    settings[field] = value === undefined ? fallback : value;
+  });
+  
+  Object.entries(settingsStructures).forEach(([field, spec]) => {
+    const issue = (message) => report.push({ field, message });
+    
+    if (migrated[field] === undefined) {
+      if (spec.optional) return;
+      issue('missing, using default');
+      settings[field] = spec.default();
+      return;
+    }
+    
+    const value = spec.validate(migrated[field], issue);
+    if (value !== undefined) settings[field] = value;
+    else if (!spec.optional) settings[field] = spec.default();
+  });
+  
+  Object.keys(migrated).forEach(field => {
+    if (field !== 'version' && !(field in settingsInputs) && !(field in settingsStructures)) {
+      report.push({ field, message: 'unknown field ignored' });
+    }
+  });
+  
+  return { settings, report };
+}
+
+// Parses, migrates, validates and applies settings from JSON text or an object.
+// Returns the report; settings are only applied when they could be read at all.
+function loadSettings(source) {
+  let raw = source;
+  if (typeof source === 'string') {
+    try {
+      raw = JSON.parse(source);
+    } catch (err) {
+      return { applied: false, report: [{ field: '(file)', message: 'not valid JSON: ' + err.message }] };
+    }
+  }
+  
+  const { settings, report } = validateSettings(raw);
+  if (!settings) return { applied: false, report };
+  
+  applySettings(settings);
+  emitSceneEvent('settingsload', { report });
+  return { applied: true, report };
+}
+
+function showSettingsReport(title, report) {
+  document.getElementById('settings-report-title').textContent = title;
+  
+  const list = document.getElementById('settings-report-list');
+  list.innerHTML = '';
+  report.forEach(({ field, message }) => {
+    const row = document.createElement('div');
+    row.className = 'report-row';
+    const fieldEl = document.createElement('span');
+    fieldEl.className = 'report-field';
+    fieldEl.textContent = field;
+    const messageEl = document.createElement('span');
+    messageEl.className = 'report-message';
+    messageEl.textContent = message;
+    row.appendChild(fieldEl);
+    row.appendChild(messageEl);
+    list.appendChild(row);
+  });
+  
+  document.getElementById('settings-report').classList.add('active');
+}
+
+document.getElementById('btn-close-report').addEventListener('click', () => {
+  document.getElementById('settings-report').classList.remove('active');
+});
+
+// Reports only the problems; version bumps on their own are not worth a dialog
+function reportSettingsLoad(source, successMessage) {
+  const { applied, report } = loadSettings(source);
+  const problems = report.filter(r => !r.message.startsWith('migrated'));
+  
+  if (!applied) {
+    showSettingsReport('Settings could not be loaded', report);
+  } else if (problems.length > 0) {
+    showSettingsReport(`Settings loaded with ${problems.length} issue${problems.length === 1 ? '' : 's'}`, report);
+  } else if (successMessage) {
+    alert(successMessage);
+  }
+  return applied;
+}
+
+// ============================================
+// SCENE DESCRIPTION
+// ============================================
+
+// Plain description of the scene shared by every code target (Copy Code snippet, standalone viewer)
+// so they can't drift apart. Derived values such as the sun-driven light position are resolved here.
+const toneMappingNames = ['NoToneMapping', 'LinearToneMapping', 'ReinhardToneMapping', 'CineonToneMapping', 'ACESFilmicToneMapping'];
+const shadowMapNames = ['BasicShadowMap', 'PCFShadowMap', 'PCFSoftShadowMap', 'VSMShadowMap'];
+
+function describeScene(settings) {
+  const dirAngles = getDirLightAngles(settings);
+  const direction = dirAngles.direction * Math.PI / 180;
+  const elevation = dirAngles.elevation * Math.PI / 180;
+  
+  return {
+    camera: {
+      fov: settings.cameraFov,
+      position: settings.cameraPosition || null,
+      target: settings.cameraTarget || null,
+      bookmarks: settings.cameraBookmarks || []
+    },
+    environment: {
+      intensity: settings.hdrIntensity,
+      rotation: settings.hdrRotation,
+      background: settings.hdrBackground
+    },
+    ambientLight: {
+      color: settings.ambientColor,
+      intensity: settings.ambientIntensity
+    },
+    dirLight: {
+      color: settings.dirColor,
+      intensity: settings.dirIntensity * dirAngles.daylight,
+      direction: dirAngles.direction,
+      elevation: dirAngles.elevation,
+      position: [
+        Math.sin(direction) * Math.cos(elevation) * lightDistance,
+        Math.sin(elevation) * lightDistance,
+        Math.cos(direction) * Math.cos(elevation) * lightDistance
+      ],
+      sun: settings.sunMode ? {
+        latitude: settings.sunLatitude,
+        longitude: settings.sunLongitude,
+        date: settings.sunDate,
+        time: formatSunTime(settings.sunTime),
+        utcOffset: settings.sunUtcOffset,
+        northOffset: settings.sunNorthOffset
+      } : null
+    },
+    shadows: {
+      enabled: settings.shadowsEnabled,
+      type: shadowMapNames[settings.shadowType],
+      bias: settings.shadowBias,
+      normalBias: settings.shadowNormalBias,
+      mapSize: settings.shadowMapSize,
+      radius: settings.shadowRadius,
+      cameraSize: settings.shadowCameraSize
+    },
+    toneMapping: {
+      type: toneMappingNames[settings.toneMappingType],
+      exposure: settings.exposure
+    },
+    colorCorrection: {
+      enabled: settings.colorCorrectionEnabled,
+      saturation: settings.saturation,
+      contrast: settings.contrast,
+      brightness: settings.brightness
+    },
+    bloom: {
+      enabled: settings.bloomEnabled,
+      strength: settings.bloomIntensity,
+      threshold: settings.bloomThreshold,
+      radius: settings.bloomRadius
+    },
+    lights: settings.lights || [],
+    materials: settings.materials || {},
+    objects: settings.objects || {},
+    modelTransforms: settings.modelTransforms || {}
+  };
+}
+
+function hasModelOverrides(desc) {
+  return Object.keys(desc.materials).length > 0 || Object.keys(desc.objects).length > 0 ||
+    Object.keys(desc.modelTransforms).length > 0;
+}
+
+// Statements that apply a described scene to existing camera, controls, renderer, lights and passes.
+// Without controls the camera is aimed with lookAt instead.
+function generateSetupCode(desc, { controls = true } = {}) {
+  const { camera: cam, dirLight: dir, shadows } = desc;
+  
+  return `// Camera
+camera.fov = ${cam.fov};
+camera.updateProjectionMatrix();${cam.position ? `
+camera.position.set(${cam.position.join(', ')});${controls ? `
+controls.target.set(${cam.target.join(', ')});
+controls.update();` : `
+camera.lookAt(${cam.target.join(', ')});`}` : ''}${cam.bookmarks.length ? `
+
+// Camera Bookmarks (position, target, fov)
+const cameraBookmarks = ${JSON.stringify(cam.bookmarks, null, 2)};` : ''}
+
+// Environment
+scene.environmentIntensity = ${desc.environment.intensity};
+scene.environmentRotation.y = ${desc.environment.rotation} * Math.PI / 180;
+scene.background = ${desc.environment.background} ? envMap : new THREE.Color(0x33334e);
+
+// Ambient Light
+ambientLight.color.set('${desc.ambientLight.color}');
+ambientLight.intensity = ${desc.ambientLight.intensity};
+
+// Directional Light
+dirLight.color.set('${dir.color}');
+dirLight.intensity = ${dir.intensity};
+${dir.sun ? `// Sun: ${dir.sun.latitude}, ${dir.sun.longitude} on ${dir.sun.date} at ${dir.sun.time} (UTC${dir.sun.utcOffset >= 0 ? '+' : ''}${dir.sun.utcOffset}), north offset ${dir.sun.northOffset}°
+` : ''}// Direction: ${dir.direction.toFixed(2)}°, Elevation: ${dir.elevation.toFixed(2)}°
+dirLight.position.set(${dir.position.map(v => v.toFixed(4)).join(', ')});
+
+// Shadows
+renderer.shadowMap.type = THREE.${shadows.type};
+renderer.shadowMap.enabled = ${shadows.enabled};
+dirLight.castShadow = ${shadows.enabled};
+dirLight.shadow.bias = ${shadows.bias};
+dirLight.shadow.normalBias = ${shadows.normalBias};
+dirLight.shadow.mapSize.width = ${shadows.mapSize};
+dirLight.shadow.mapSize.height = ${shadows.mapSize};
+dirLight.shadow.radius = ${shadows.radius};
+dirLight.shadow.camera.left = -${shadows.cameraSize};
+dirLight.shadow.camera.right = ${shadows.cameraSize};
+dirLight.shadow.camera.top = ${shadows.cameraSize};
+dirLight.shadow.camera.bottom = -${shadows.cameraSize};
+dirLight.shadow.camera.updateProjectionMatrix();
+
+// Tone Mapping
+renderer.toneMapping = THREE.${desc.toneMapping.type};
+renderer.toneMappingExposure = ${desc.toneMapping.exposure};
+
+// Color Correction
+colorPass.enabled = ${desc.colorCorrection.enabled};
+colorPass.uniforms.saturation.value = ${desc.colorCorrection.saturation};
+colorPass.uniforms.contrast.value = ${desc.colorCorrection.contrast};
+colorPass.uniforms.brightness.value = ${desc.colorCorrection.brightness};
+
+// Bloom
+bloomPass.enabled = ${desc.bloom.enabled};
+bloomPass.strength = ${desc.bloom.strength};
+bloomPass.threshold = ${desc.bloom.threshold};
+bloomPass.radius = ${desc.bloom.radius};
+${generateUserLightsCode(desc.lights)}`;
+}
+
+// applyModelSettings(model) mirrors what the editor does to every loaded model: shadows on,
+// then saved material edits, root placement and outliner flags.
+function generateModelSettingsCode(desc) {
+  return `// Model Settings
+const materialOverrides = ${JSON.stringify(desc.materials, null, 2)};
+const objectOverrides = ${JSON.stringify(desc.objects, null, 2)};
+// Root position, rotation (radians) and scale by model name
+const modelTransforms = ${JSON.stringify(desc.modelTransforms, null, 2)};
+
+// Paths start at the model root, which must be named after its file
+function getObjectPath(object, model) {
+  const parts = [];
+  for (let o = object; o && o !== model.parent; o = o.parent) {
+    parts.unshift(o.name || o.type + o.parent.children.indexOf(o));
+  }
+  return parts.join('/');
+}
+
+function applyModelSettings(model) {
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    child.castShadow = true;
+    child.receiveShadow = true;
+    
+    const mats = Array.isArray(child.material) ? child.material : [child.material];
+    mats.forEach(mat => {
+      const override = materialOverrides[mat.name || 'Unnamed Material'];
+      if (!override) return;
+      Object.entries(override).forEach(([prop, value]) => {
+        if (prop === 'color' || prop === 'emissive') mat[prop].set(value);
+        else mat[prop] = value;
+      });
+      mat.needsUpdate = true;
+    });
+  });
+  
+  const transform = modelTransforms[model.name];
+  if (transform) {
+    if (transform.position) model.position.fromArray(transform.position);
+    if (transform.rotation) model.rotation.fromArray(transform.rotation);
+    if (transform.scale) model.scale.fromArray(transform.scale);
+  }
+  
+  // Outliner flags cascade to descendants; parents first so child flags win
+  const byPath = new Map();
+  model.traverse(o => byPath.set(getObjectPath(o, model), o));
+  Object.keys(objectOverrides)
+    .sort((a, b) => a.split('/').length - b.split('/').length)
+    .forEach(path => {
+      const flags = objectOverrides[path];
+      const object = byPath.get(path);
+      if (!object) return;
+      object.traverse(o => {
+        if (flags.visible !== undefined) o.visible = flags.visible;
+        if (o.isLight) return;
+        if (flags.castShadow !== undefined) o.castShadow = flags.castShadow;
+        if (flags.receiveShadow !== undefined) o.receiveShadow = flags.receiveShadow;
+      });
+    });
+}`;
+}
+
+function generateUserLightsCode(lights) {
+  if (lights.length === 0) return '';
+  
+  const lines = ['', '// Additional Lights'];
+  if (lights.some(l => l.type === 'rectArea')) {
+    lines.push('// RectAreaLight requires: import { RectAreaLightUniformsLib } from \'three/addons/lights/RectAreaLightUniformsLib.js\';');
+    lines.push('RectAreaLightUniformsLib.init();');
+  }
+  
+  lights.forEach((l, i) => {
+    const v = `light${i + 1}`;
+    lines.push(`// ${l.name}`);
+    switch (l.type) {
+      case 'point': lines.push(`const ${v} = new THREE.PointLight('${l.color}', ${l.intensity}, ${l.distance}, ${l.decay});`); break;
+      case 'spot': lines.push(`const ${v} = new THREE.SpotLight('${l.color}', ${l.intensity}, ${l.distance}, ${l.angle} * Math.PI / 180, ${l.penumbra}, ${l.decay});`); break;
+      case 'rectArea': lines.push(`const ${v} = new THREE.RectAreaLight('${l.color}', ${l.intensity}, ${l.width}, ${l.height});`); break;
+      case 'hemisphere': lines.push(`const ${v} = new THREE.HemisphereLight('${l.color}', '${l.groundColor}', ${l.intensity});`); break;
+    }
+    lines.push(`${v}.position.set(${l.position.join(', ')});`);
+    if (l.type === 'rectArea') lines.push(`${v}.lookAt(0, 0, 0);`);
+    if (l.castShadow) {
+      lines.push(`${v}.castShadow = true;`);
+      lines.push(`${v}.shadow.bias = ${l.shadowBias};`);
+      lines.push(`${v}.shadow.camera.near = 0.01;`);
+    }
+    lines.push(`scene.add(${v});`);
+  });
+  
+  return lines.join('\n');
+}
+
+// ============================================
+// CODE TARGETS
+// ============================================
+
+// Every target renders the same describeScene() output
+const codeTargets = {
+  snippet: { label: 'Snippet (editor globals)', generate: generateSnippetCode },
+  module: { label: 'ES Module (setupScene)', generate: generateModuleCode },
+  r3f: { label: 'React Three Fiber', generate: generateR3FCode }
+};
+
+function generateJSCode(settings, target = 'snippet') {
+  return codeTargets[target].generate(describeScene(settings));
+}
+
+function generateSnippetCode(desc) {
+  return `// ===== SAVED SETTINGS =====
+${generateSetupCode(desc)}${hasModelOverrides(desc) ? `
+
+// Call applyModelSettings(gltf.scene) for each loaded model
+${generateModelSettingsCode(desc)}` : ''}
+// ===== END SAVED SETTINGS =====`;
+}
+
+// Generated code refers to assets by URL; files opened from disk are assumed to be deployed
+// next to the defaults (models in /models, HDRs in /img)
+function getCodeAssets() {
+  const getUrl = (source, fallback) => typeof source === 'string' ? source : fallback;
+  return {
+    models: loadedModels.map(({ name, source }) => ({ name, url: getUrl(source, `/models/${name}`) })),
+    hdr: currentHdrSource ? getUrl(currentHdrSource, `/img/${currentHdrName}`) : null
+  };
+}
+
+function indentCode(code, pad) {
+  return code.split('\n').map(line => line ? pad + line : line).join('\n');
+}
+
+// Composer, passes and the two built-in lights as the editor creates them; expects renderer and scene
+function generatePipelineCode() {
+  const uniforms = Object.fromEntries(
+    Object.entries(ColorCorrectionShader.uniforms).map(([name, uniform]) => [name, { value: uniform.value }])
+  );
+  
+  return `// Post Processing (same order as the editor: bloom, color correction, then tone mapping/sRGB)
+const ColorCorrectionShader = {
+  uniforms: ${JSON.stringify(uniforms)},
+  vertexShader: \`${ColorCorrectionShader.vertexShader}\`,
+  fragmentShader: \`${ColorCorrectionShader.fragmentShader}\`
+};
+
+const composer = new EffectComposer(renderer);
+composer.addPass(new RenderPass(scene, camera));
+const bloomPass = new UnrealBloomPass(renderer.getSize(new THREE.Vector2()), 0.5, 0.5, 0.8);
+composer.addPass(bloomPass);
+const colorPass = new ShaderPass(ColorCorrectionShader);
+composer.addPass(colorPass);
+composer.addPass(new OutputPass());
+
+// Lights
+const ambientLight = new THREE.AmbientLight(0xffffff, 1);
+scene.add(ambientLight);
+const dirLight = new THREE.DirectionalLight(0xffffff, 1);
+dirLight.shadow.camera.near = 0.1;
+dirLight.shadow.camera.far = 50;
+scene.add(dirLight);
+
+let envMap = null;`;
+}
+
+function generateEnvironmentLoadCode(desc, url) {
+  return `// HDR Environment
+new RGBELoader().load('${url}', (hdr) => {
+  hdr.mapping = THREE.EquirectangularReflectionMapping;
+  envMap = hdr;
+  scene.environment = hdr;${desc.environment.background ? `
+  scene.background = hdr;` : ''}
+});`;
+}
+
+function generatePipelineImports(desc) {
+  const usesRectArea = desc.lights.some(l => l.type === 'rectArea');
+  return `import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';${usesRectArea ? `
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';` : ''}
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';`;
+}
+
+function generateModuleCode(desc) {
+  const assets = getCodeAssets();
+  const body = [
+    generatePipelineCode(),
+    generateSetupCode(desc, { controls: false })
+  ];
+  if (assets.hdr) body.push(generateEnvironmentLoadCode(desc, assets.hdr));
+  body.push('return { composer, bloomPass, colorPass, ambientLight, dirLight };');
+  
+  return `// Scene setup exported from Diriyah
+//
+//   const { composer } = setupScene(renderer, scene, camera);
+//   renderer.setAnimationLoop(() => composer.render());
+//
+// On resize call composer.setSize() along with renderer.setSize().
+// For each model in \`models\`: scene.add(gltf.scene); applyModelSettings(gltf.scene);
+${generatePipelineImports(desc)}
+
+export const models = ${JSON.stringify(assets.models, null, 2)};
+
+${generateModelSettingsCode(desc)}
+
+export { applyModelSettings };
+
+export function setupScene(renderer, scene, camera) {
+${indentCode(body.join('\n\n'), '  ')}
+}
+`;
+}
+
+// React Three Fiber
+const r3fShadowTypes = { BasicShadowMap: 'basic', PCFShadowMap: 'percentage', PCFSoftShadowMap: 'soft', VSMShadowMap: 'variance' };
+const r3fToneMappingModes = {
+  LinearToneMapping: 'LINEAR',
+  ReinhardToneMapping: 'REINHARD',
+  CineonToneMapping: 'OPTIMIZED_CINEON',
+  ACESFilmicToneMapping: 'ACES_FILMIC'
+};
+
+function formatJSXValue(value) {
+  if (Array.isArray(value)) return `[${value.join(', ')}]`;
+  return JSON.stringify(value);
+}
+
+// Props with a string value that starts with "=>" are written as raw expressions; other strings go
+// through JSON.stringify so quotes and braces in names stay valid JSX
+function formatJSXElement(tag, props) {
+  const attributes = Object.entries(props)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (value === true) return key;
+      if (typeof value === 'string') return value.startsWith('=>') ? `${key}={${value.slice(2)}}` : `${key}={${JSON.stringify(value)}}`;
+      return `${key}={${formatJSXValue(value)}}`;
+    });
+  return `<${tag} ${attributes.join(' ')} />`;
+}
+
+function userLightToJSX(l) {
+  const props = { name: l.name, color: l.color, intensity: l.intensity, position: l.position };
+  let tag;
+  switch (l.type) {
+    case 'point':
+      tag = 'pointLight';
+      Object.assign(props, { distance: l.distance, decay: l.decay });
+      break;
+    case 'spot':
+      tag = 'spotLight';
+      Object.assign(props, { distance: l.distance, angle: +(l.angle * Math.PI / 180).toFixed(4), penumbra: l.penumbra, decay: l.decay });
+      break;
+    case 'rectArea':
+      tag = 'rectAreaLight';
+      Object.assign(props, { width: l.width, height: l.height, onUpdate: '=>(self) => self.lookAt(0, 0, 0)' });
+      break;
+    case 'hemisphere':
+      tag = 'hemisphereLight';
+      props.groundColor = l.groundColor;
+      break;
+  }
+  if (l.castShadow) {
+    Object.assign(props, { castShadow: true, 'shadow-bias': l.shadowBias, 'shadow-camera-near': 0.01 });
+  }
+  return formatJSXElement(tag, props);
+}
+
+function generateR3FCode(desc) {
+  const assets = getCodeAssets();
+  const { camera: cam, dirLight: dir, shadows, colorCorrection: cc, bloom } = desc;
+  const usesComposer = bloom.enabled || cc.enabled;
+  const usesRectArea = desc.lights.some(l => l.type === 'rectArea');
+  const toneMappingMode = r3fToneMappingModes[desc.toneMapping.type];
+  const rotation = +(desc.environment.rotation * Math.PI / 180).toFixed(4);
+  
+  const children = [];
+  if (assets.hdr) {
+    children.push(formatJSXElement('Environment', {
+      files: assets.hdr,
+      background: desc.environment.background || undefined,
+      environmentIntensity: desc.environment.intensity,
+      environmentRotation: [0, rotation, 0]
+    }));
+  }
+  if (!desc.environment.background || !assets.hdr) {
+    children.push('<color attach="background" args={[\'#33334e\']} />');
+  }
+  children.push(formatJSXElement('ambientLight', { color: desc.ambientLight.color, intensity: desc.ambientLight.intensity }));
+  children.push(formatJSXElement('directionalLight', {
+    color: dir.color,
+    intensity: dir.intensity,
+    position: dir.position.map(v => +v.toFixed(4)),
+    castShadow: shadows.enabled || undefined,
+    'shadow-bias': shadows.bias,
+    'shadow-normalBias': shadows.normalBias,
+    'shadow-mapSize': [shadows.mapSize, shadows.mapSize],
+    'shadow-radius': shadows.radius,
+    'shadow-camera-near': 0.1,
+    'shadow-camera-far': 50,
+    'shadow-camera-left': -shadows.cameraSize,
+    'shadow-camera-right': shadows.cameraSize,
+    'shadow-camera-top': shadows.cameraSize,
+    'shadow-camera-bottom': -shadows.cameraSize
+  }));
+  desc.lights.forEach(l => children.push(userLightToJSX(l)));
+  if (assets.models.length) {
+    children.push('<Suspense fallback={null}>');
+    assets.models.forEach(m => children.push('  ' + formatJSXElement('Model', m)));
+    children.push('</Suspense>');
+  }
+  children.push(formatJSXElement('OrbitControls', { makeDefault: true, enableDamping: true, target: cam.target || undefined }));
+  
+  if (usesComposer) {
+    // postprocessing renders off-screen, so tone mapping moves from the renderer to the last effect
+    children.push('<EffectComposer>');
+    if (bloom.enabled) {
+      children.push('  ' + formatJSXElement('Bloom', { intensity: bloom.strength, luminanceThreshold: bloom.threshold, radius: bloom.radius, mipmapBlur: true }));
+    }
+    if (cc.enabled) {
+      children.push('  ' + formatJSXElement('BrightnessContrast', { brightness: cc.brightness, contrast: cc.contrast }));
+      children.push('  ' + formatJSXElement('HueSaturation', { saturation: cc.saturation }));
+    }
+    if (toneMappingMode) children.push(`  <ToneMapping mode={ToneMappingMode.${toneMappingMode}} />`);
+    children.push('</EffectComposer>');
+  }
+  
+  const canvasProps = [
+    shadows.enabled ? `shadows="${r3fShadowTypes[shadows.type]}"` : null,
+    `camera={{ fov: ${cam.fov}, ${cam.position ? `position: [${cam.position.join(', ')}], ` : ''}near: 0.1, far: 1000 }}`,
+    `onCreated={({ gl }) => {
+        gl.toneMapping = THREE.${desc.toneMapping.type};
+        gl.toneMappingExposure = ${desc.toneMapping.exposure};
+      }}`
+  ].filter(Boolean);
+  
+  return `// Scene setup exported from Diriyah
+// Needs @react-three/fiber and @react-three/drei${usesComposer ? ', plus @react-three/postprocessing (Bloom and color correction approximate the editor\'s passes)' : ''}
+import { Suspense, useLayoutEffect } from 'react';
+import * as THREE from 'three';
+import { Canvas } from '@react-three/fiber';
+import { Environment, OrbitControls, useGLTF } from '@react-three/drei';${usesComposer ? `
+import { EffectComposer, Bloom, BrightnessContrast, HueSaturation, ToneMapping } from '@react-three/postprocessing';
+import { ToneMappingMode } from 'postprocessing';` : ''}${usesRectArea ? `
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
+
+RectAreaLightUniformsLib.init();` : ''}
+
+${generateModelSettingsCode(desc)}
+
+function Model({ url, name }) {
+  const { scene } = useGLTF(url);
+  useLayoutEffect(() => {
+    scene.name = name;
+    applyModelSettings(scene);
+  }, [scene, name]);
+  return <primitive object={scene} />;
+}
+
+export default function SceneSetup() {
+  return (
+    <Canvas
+      ${canvasProps.join('\n      ')}
+    >
+${indentCode(children.join('\n'), '      ')}
+    </Canvas>
+  );
+}
+`;
+}
+
+// Code Preview
+function updateCodePreview() {
+  const target = document.getElementById('code-target').value;
+  document.getElementById('code-preview-text').textContent = generateJSCode(getCurrentSettings(), target);
+}
+
+Object.entries(codeTargets).forEach(([value, { label }]) => {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  document.getElementById('code-target').appendChild(option);
+});
+
+document.getElementById('code-target').addEventListener('change', updateCodePreview);
+
+document.getElementById('btn-close-code').addEventListener('click', () => {
+  document.getElementById('code-preview').classList.remove('active');
+});
+
+document.getElementById('btn-copy-preview').addEventListener('click', () => {
+  const code = document.getElementById('code-preview-text').textContent;
+  navigator.clipboard.writeText(code).then(() => {
+    alert('JS code copied to clipboard!');
+  });
+});
+
+// Save to LocalStorage
+document.getElementById('btn-save').addEventListener('click', () => {
+  const settings = getCurrentSettings();
+  localStorage.setItem('diriyah-settings', JSON.stringify(settings));
+  alert('Settings saved to browser!');
+});
+
+// Load from LocalStorage
+document.getElementById('btn-load').addEventListener('click', () => {
+  const savedSettings = localStorage.getItem('diriyah-settings');
+  if (savedSettings) {
+    if (reportSettingsLoad(savedSettings, 'Settings loaded!')) clearHistory();
+  } else {
+    alert('No saved settings found');
+  }
+});
+
+// Export JSON
+document.getElementById('btn-export').addEventListener('click', () => {
+  const settings = getCurrentSettings();
+  const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, 'diriyah-settings.json');
+});
+
+// Import JSON
+document.getElementById('btn-import').addEventListener('click', () => {
+  document.getElementById('import-file').click();
+});
+
+document.getElementById('import-file').addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = (event) => {
+    if (reportSettingsLoad(event.target.result, 'Settings imported!')) clearHistory();
+  };
+  reader.readAsText(file);
+  e.target.value = '';
+});
+
+// Copy Code
+document.getElementById('btn-copy-code').addEventListener('click', () => {
+  updateCodePreview();
+  document.getElementById('code-preview').classList.add('active');
+});
+
+// ============================================
+// STANDALONE VIEWER
+// ============================================
+
+// A zip with index.html, viewer.js and the current models and HDR. three.js comes from a CDN
+// at the editor's version, so the folder can be uploaded to any static host as-is.
+function generateViewerCode(desc, assets) {
+  return `${generatePipelineImports(desc)}
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+
+const canvas = document.getElementById('viewer');
+const scene = new THREE.Scene();
+
+const camera = new THREE.PerspectiveCamera(45, canvas.clientWidth / canvas.clientHeight, 0.1, 1000);
+camera.position.set(-0.3, 0.3, 0.5);
+
+const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
+
+const controls = new OrbitControls(camera, canvas);
+controls.enableDamping = true;
+
+${generatePipelineCode()}
+
+// ===== SCENE SETTINGS =====
+${generateSetupCode(desc)}
+
+${generateModelSettingsCode(desc)}
+// ===== END SCENE SETTINGS =====
+${assets.hdr ? `
+${generateEnvironmentLoadCode(desc, assets.hdr.file)}
+` : ''}
+// Models (decoders for compressed assets come from the same CDN as three.js)
+const decoderPath = new URL('../examples/jsm/libs/', import.meta.resolve('three')).href;
+const dracoLoader = new DRACOLoader().setDecoderPath(decoderPath + 'draco/gltf/');
+const ktx2Loader = new KTX2Loader().setTranscoderPath(decoderPath + 'basis/').detectSupport(renderer);
+${JSON.stringify(assets.models)}.forEach(({ name, file, resources }) => {
+  // A .gltf's external files (picked with it or fetched from next to its URL) are bundled under models/N_files/
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier(url => resources[url] || url);
+  const loader = new GLTFLoader(manager)
+    .setDRACOLoader(dracoLoader)
+    .setKTX2Loader(ktx2Loader)
+    .setMeshoptDecoder(MeshoptDecoder);
+  loader.load(file, (gltf) => {
+    gltf.scene.name = name;
+    scene.add(gltf.scene);
+    applyModelSettings(gltf.scene);
+  });
+});
+
+window.addEventListener('resize', () => {
+  camera.aspect = canvas.clientWidth / canvas.clientHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
+  composer.setSize(canvas.clientWidth, canvas.clientHeight);
+});
+
+renderer.setAnimationLoop(() => {
+  controls.update();
+  composer.render();
+});
+`;
+}
+
+function generateViewerHTML() {
+  const threeUrl = `https://cdn.jsdelivr.net/npm/three@0.${THREE.REVISION}.0`;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Diriyah Viewer</title>
+  <style>
+    html, body { margin: 0; height: 100%; overflow: hidden; background: #33334e; }
+    #viewer { display: block; width: 100%; height: 100%; touch-action: none; }
+  </style>
+  <script type="importmap">
+    {
+      "imports": {
+        "three": "${threeUrl}/build/three.module.js",
+        "three/addons/": "${threeUrl}/examples/jsm/"
+      }
+    }
+  </script>
+</head>
+<body>
+  <canvas id="viewer"></canvas>
+  <script type="module" src="viewer.js"></script>
+</body>
+</html>
+`;
+}
+
+async function createViewerBlob() {
+  const files = {};
+  const assets = { models: [], hdr: null };
+  
+  for (const [i, model] of loadedModels.entries()) {
+    const file = `models/${i}_${model.name}`;
+    const bytes = await readSourceBytes(model.source);
+    files[file] = [bytes, { level: 0 }];
+    
+    // External files of a picked or URL-loaded .gltf, keyed by the URL GLTFLoader asks for
+    // (the URI against the model's folder) for the viewer's URL modifier
+    const resources = {};
+    for (const { uri, entry } of getModelResources(model, bytes)) {
+      const resourceFile = `models/${i}_files/${normalizePath(entry.path)}`;
+      if (!files[resourceFile]) files[resourceFile] = [await readSourceBytes(entry.file), { level: 0 }];
+      resources[THREE.LoaderUtils.extractUrlBase(file) + uri] = resourceFile;
+    }
+    assets.models.push({ name: model.name, file, resources });
+  }
+  if (currentHdrSource) {
+    const file = `hdr/${currentHdrName}`;
+    files[file] = [await readSourceBytes(currentHdrSource), { level: 0 }];
+    assets.hdr = { file };
+  }
+  
+  files['index.html'] = strToU8(generateViewerHTML());
+  files['viewer.js'] = strToU8(generateViewerCode(describeScene(getCurrentSettings()), assets));
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+document.getElementById('btn-export-viewer').addEventListener('click', async () => {
+  try {
+    downloadBlob(await createViewerBlob(), 'diriyah-viewer.zip');
+  } catch (err) {
+    alert('Error exporting viewer: ' + err.message);
+  }
+});
+
+// ============================================
+// PROJECT FILES
+// ============================================
+
+// A project is a zip holding project.json (settings + manifest) and the original model and HDR files
+const projectFormat = 'scenesetup-project';
+
+async function readSourceBytes(source) {
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not read ${source} (${response.status})`);
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  return new Uint8Array(await source.arrayBuffer());
+}
+
+// External files a loaded .gltf references, as { uri, entry } with entry as { file, path }: one of
+// model.files for a picked .gltf, or the URL next to the model for one loaded by URL.
+// A .glb or self-contained .gltf has none.
+function getModelResources(model, bytes) {
+  const fromUrl = !model.files?.length && typeof model.source === 'string';
+  if (!model.files?.length && !fromUrl) return [];
+  
+  // A .glb keeps its JSON in the first chunk, after the 12-byte header and 8-byte chunk header
+  const isBinary = strFromU8(bytes.subarray(0, 4)) === 'glTF';
+  const jsonLength = isBinary ? new DataView(bytes.buffer, bytes.byteOffset).getUint32(12, true) : bytes.length;
+  const json = JSON.parse(strFromU8(isBinary ? bytes.subarray(20, 20 + jsonLength) : bytes));
+  
+  const uris = [...(json.buffers || []), ...(json.images || [])]
+    .map(def => def.uri)
+    .filter(uri => uri && !/^(data:|blob:|(https?:)?\/\/)/i.test(uri));
+  return [...new Set(uris)].flatMap((uri) => {
+    if (fromUrl) {
+      const file = THREE.LoaderUtils.resolveURL(uri, THREE.LoaderUtils.extractUrlBase(model.source));
+      return [{ uri, entry: { file, path: normalizePath(decodeURI(uri)) } }];
+    }
+    const entry = findResourceFile(model.files, (model.resourcePath || '') + uri);
+    return entry ? [{ uri, entry }] : [];
+  });
+}
+
+async function createProjectBlob() {
+  const files = {};
+  const manifest = {
+    format: projectFormat,
+    version: 1,
+    models: [],
+    hdr: null,
+    settings: getCurrentSettings()
+  };
+  
+  // Model and HDR files are already compressed or large, so store them as-is
+  for (const [i, model] of loadedModels.entries()) {
+    const file = `models/${i}_${model.name}`;
+    const bytes = await readSourceBytes(model.source);
+    files[file] = [bytes, { level: 0 }];
+    
+    // A .gltf's external files keep their picked paths (or their URIs, for one loaded by URL),
+    // so they resolve the same way on open
+    const resources = [];
+    for (const entry of new Set(getModelResources(model, bytes).map(resource => resource.entry))) {
+      const path = normalizePath(entry.path);
+      const resourceFile = `models/${i}_files/${path}`;
+      files[resourceFile] = [await readSourceBytes(entry.file), { level: 0 }];
+      resources.push({ path, file: resourceFile });
+    }
+    manifest.models.push({ name: model.name, file, resourcePath: model.resourcePath || '', resources });
+  }
+  
+  if (currentHdrSource) {
+    const file = `hdr/${currentHdrName}`;
+    files[file] = [await readSourceBytes(currentHdrSource), { level: 0 }];
+    manifest.hdr = { name: currentHdrName, file };
+  }
+  
+  files['project.json'] = strToU8(JSON.stringify(manifest, null, 2));
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+// Replaces the scene with the project's models, HDR and settings
+async function openProject(blob) {
+  const files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+  if (!files['project.json']) throw new Error('project.json is missing, this is not a project file');
+  
+  const manifest = JSON.parse(strFromU8(files['project.json']));
+  if (manifest.format !== projectFormat) throw new Error('project.json is not a SceneSetup project');
+  
+  // Settings first, so material and outliner overrides are in place when the models arrive
+  if (!reportSettingsLoad(manifest.settings)) return false;
+  clearHistory();
+  clearModels();
+  
+  const loadFromZip = async (entry, load) => {
+    if (!files[entry.file]) throw new Error(`${entry.file} is missing from the project`);
+    const fileBlob = new Blob([files[entry.file]]);
+    const url = URL.createObjectURL(fileBlob);
+    try {
+      await load(url, entry.name, fileBlob);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  };
+  
+  for (const model of manifest.models || []) {
+    // Rebuild the picked files for a .gltf, so loadModel serves its external URIs as it did originally
+    const resources = (model.resources || []).map(({ path, file }) => {
+      if (!files[file]) throw new Error(`${file} is missing from the project`);
+      return { file: new File([files[file]], path.split('/').pop()), path };
+    });
+    await loadFromZip(model, (url, name, source) => loadModel(url, name, source, {
+      files: resources.length ? resources : undefined,
+      resourcePath: model.resourcePath
+    }));
+  }
+  if (manifest.hdr) {
+    await loadFromZip(manifest.hdr, loadHDR);
+  }
+  return true;
+}
+
+document.getElementById('btn-save-project').addEventListener('click', async () => {
+  try {
+    downloadBlob(await createProjectBlob(), 'diriyah-project.zip');
+  } catch (err) {
+    alert('Error saving project: ' + err.message);
+  }
+});
+
+document.getElementById('btn-open-project').addEventListener('click', () => {
+  document.getElementById('project-file-input').click();
+});
+
+document.getElementById('project-file-input').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  e.target.value = '';
+  
+  try {
+    if (await openProject(file)) alert('Project opened!');
+  } catch (err) {
+    alert('Error opening project: ' + err.message);
+  }
+});
+
+// ============================================
+// GLB EXPORT
+// ============================================
+
+// KHR_lights_punctual lights point down their local -Z with no target object,
+// so bake the target direction into the clone's rotation
+function createExportLight(light) {
+  const clone = light.clone(false);
+  light.getWorldPosition(clone.position);
+  if (light.target) {
+    clone.lookAt(light.target.getWorldPosition(new THREE.Vector3()));
+    clone.target.position.set(0, 0, -1);
+    clone.add(clone.target);
+  }
+  return clone;
+}
+
+function getExportLights() {
+  const lights = [createExportLight(dirLight)];
+  const skipped = [];
+  userLights.forEach(({ light }) => {
+    if (light.isPointLight || light.isSpotLight || light.isDirectionalLight) lights.push(createExportLight(light));
+    else skipped.push(light.name);
+  });
+  return { lights, skipped };
+}
+
+async function exportGLB(onlyVisible) {
+  const { lights, skipped } = getExportLights();
+  
+  // Ambient light has no KHR_lights_punctual type; it travels as extras on an empty node
+  const ambient = new THREE.Object3D();
+  ambient.name = 'AmbientLight';
+  ambient.userData = {
+    type: 'ambient',
+    color: '#' + ambientLight.color.getHexString(),
+    intensity: ambientLight.intensity
+  };
+  
+  const exportCamera = camera.clone();
+  exportCamera.name = 'Camera';
+  
+  // Texture downscale previews are for judging quality only
+  const restorePreviews = suspendTexturePreviews();
+  try {
+    const roots = loadedModels.map(model => model.root);
+    const exported = gatherStats(roots, onlyVisible);
+    const summary = [
+      'Export GLB with:',
+      '',
+      `Models: ${roots.length}`,
+      `Triangles: ${Math.round(exported.triangles).toLocaleString()}`,
+      `Materials: ${exported.materials.size}`,
+      `Textures: ${exported.textures.size} (${exported.textureSize.toFixed(2)} MB)`,
+      `Lights: ${lights.map(l => l.name || l.type).join(', ')} + ambient (as extras)`,
+      'Camera: current view'
+    ];
+    if (skipped.length) summary.push('', `Not supported by glTF, left out: ${skipped.join(', ')}`);
+    if (!onlyVisible) summary.push('', 'Hidden objects are included and will be visible in the GLB.');
+    if (!confirm(summary.join('\n'))) return;
+    
+    const glb = await new GLTFExporter().parseAsync([...roots, ...lights, ambient, exportCamera], {
+      binary: true,
+      onlyVisible
+    });
+    downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), 'diriyah-scene.glb');
+  } finally {
+    restorePreviews();
+  }
+}
+
+document.getElementById('btn-export-glb').addEventListener('click', async () => {
+  try {
+    await exportGLB(document.getElementById('glb-only-visible').checked);
+  } catch (err) {
+    alert('Error exporting GLB: ' + err.message);
+  }
+});
+
+// ============================================
+// LOOK PRESETS
+// ============================================
+
+// Presets hold the look only; camera state, model placement and animation stay put so presets can be compared from any view
+const nonLookSettingKeys = ['cameraFov', 'cameraPosition', 'cameraTarget', 'cameraBookmarks', 'cameraPath', 'turntableSpeed', 'turntableRadius', 'modelTransforms', 'animations'];
+
+let lookPresets = [];
+try {
+  lookPresets = JSON.parse(localStorage.getItem('diriyah-presets')) || [];
+} catch (err) {
+  console.warn('Could not load saved presets');
+}
+
+function savePresets() {
+  try {
+    localStorage.setItem('diriyah-presets', JSON.stringify(lookPresets));
+  } catch (err) {
+    alert('Could not save presets: ' + err.message);
+  }
+  buildPresetList();
+}
+
+// The current look, or the look part of the given settings
+function getLookSettings(settings = getCurrentSettings()) {
+  const look = { ...settings };
+  nonLookSettingKeys.forEach(key => delete look[key]);
+  return look;
+}
+
+function renderPresetThumbnail() {
+  return renderImage(192, 108).toDataURL('image/jpeg', 0.8);
+}
+
+// Applying a look is one undoable step
+function applyLookSettings(settings, label) {
+  const before = getLookSettings();
+  applySettings(settings);
+  pushHistory({
+    label,
+    undo: () => applySettings(before),
+    redo: () => applySettings(settings)
+  });
+}
+
+function createPreset(name) {
+  lookPresets.push({
+    id: crypto.randomUUID(),
+    name,
+    settings: getLookSettings(),
+    thumbnail: renderPresetThumbnail()
+  });
+  savePresets();
+}
+
+function buildPresetList() {
+  const container = document.getElementById('preset-list');
+  container.innerHTML = '';
+  
+  lookPresets.forEach(preset => {
+    const div = document.createElement('div');
+    div.className = 'preset-item';
+    
+    const thumb = document.createElement('img');
+    thumb.className = 'preset-thumbnail';
+    thumb.src = preset.thumbnail;
+    div.appendChild(thumb);
+    
+    const name = document.createElement('span');
+    name.className = 'list-item-name';
+    name.textContent = preset.name;
+    div.appendChild(name);
+    
+    const actions = document.createElement('span');
+    actions.className = 'preset-actions';
+    [
+      ['✎', 'Rename', () => {
+        const newName = prompt('Preset name', preset.name);
+        if (!newName || !newName.trim()) return;
+        preset.name = newName.trim();
+        savePresets();
+      }],
+      ['⟳', 'Update from current look', () => {
+        preset.settings = getLookSettings();
+        preset.thumbnail = renderPresetThumbnail();
+        savePresets();
+      }],
+      ['⧉', 'Duplicate', () => {
+        const copy = structuredClone(preset);
+        copy.id = crypto.randomUUID();
+        copy.name = preset.name + ' copy';
+        lookPresets.splice(lookPresets.indexOf(preset) + 1, 0, copy);
+        savePresets();
+      }],
+      ['×', 'Delete', () => {
+        if (!confirm(`Delete preset "${preset.name}"?`)) return;
+        lookPresets.splice(lookPresets.indexOf(preset), 1);
+        savePresets();
+      }]
+    ].forEach(([icon, title, onClick]) => {
+      const btn = document.createElement('span');
+      btn.className = 'list-item-remove';
+      btn.textContent = icon;
+      btn.title = title;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      actions.appendChild(btn);
+    });
+    div.appendChild(actions);
+    
+    div.addEventListener('click', () => {
+      if (comparison) stopComparison();
+      applyLookSettings(preset.settings, `Apply preset ${preset.name}`);
+    });
+    container.appendChild(div);
+  });
+  
+  // Keep the A/B pickers in sync
+  ['compare-a', 'compare-b'].forEach((id, i) => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = '';
+    lookPresets.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      select.appendChild(option);
+    });
+    if (lookPresets.some(p => p.id === current)) select.value = current;
+    else if (lookPresets[i]) select.value = lookPresets[i].id;
+  });
+}
+
+document.getElementById('btn-create-preset').addEventListener('click', () => {
+  const nameInput = document.getElementById('preset-name');
+  createPreset(nameInput.value.trim() || `Preset ${lookPresets.length + 1}`);
+  nameInput.value = '';
+});
+
+// A/B Comparison
+// Split mode renders both looks into stills and wipes between them; toggle mode swaps the live look.
+// Only look keys are swapped, so comparing never resets the camera, model placement or running clips.
+let comparison = null; // { mode, a, b, live (toggle mode), shown (toggle mode), showing }
+
+function getPreset(id) {
+  return lookPresets.find(p => p.id === id);
+}
+
+function renderComparison() {
+  const overlay = document.getElementById('ab-compare');
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  // The live look may have been edited since the last split render
+  const live = getLookSettings();
+  
+  const images = [comparison.a, comparison.b].map(preset => {
+    applySettings(getLookSettings(preset.settings));
+    const image = renderImage(width, height);
+    image.className = 'ab-image';
+    return image;
+  });
+  applySettings(live);
+  
+  overlay.querySelectorAll('.ab-image').forEach(el => el.remove());
+  images[0].classList.add('ab-a');
+  overlay.prepend(images[1], images[0]);
+  document.getElementById('ab-label-a').textContent = 'A: ' + comparison.a.name;
+  document.getElementById('ab-label-b').textContent = 'B: ' + comparison.b.name;
+  overlay.classList.add('active');
+  updateComparisonSplit();
+}
+
+function updateComparisonSplit() {
+  const split = parseFloat(document.getElementById('ab-compare').dataset.split || 50);
+  const imageA = document.querySelector('#ab-compare .ab-a');
+  if (imageA) imageA.style.clipPath = `inset(0 ${100 - split}% 0 0)`;
+  document.getElementById('ab-divider').style.left = split + '%';
+}
+
+function startComparison() {
+  const a = getPreset(document.getElementById('compare-a').value);
+  const b = getPreset(document.getElementById('compare-b').value);
+  if (!a || !b) {
+    alert('Create at least two presets to compare');
+    return;
+  }
+  if (a === b) {
+    alert('Pick two different presets to compare');
+    return;
+  }
+  
+  comparison = {
+    mode: document.getElementById('compare-mode').value,
+    a,
+    b,
+    live: getLookSettings(),
+    shown: null,
+    showing: 'a'
+  };
+  
+  if (comparison.mode === 'split') {
+    renderComparison();
+  } else {
+    showComparisonPreset(a);
+    document.getElementById('btn-compare-toggle').disabled = false;
+    document.getElementById('btn-compare-toggle').textContent = 'Showing A: ' + a.name;
+  }
+  document.getElementById('btn-compare').textContent = 'Stop Compare';
+}
+
+// Toggle mode shows the presets live; remembers the look it applied so edits made on top can be told apart
+function showComparisonPreset(preset) {
+  applySettings(getLookSettings(preset.settings));
+  comparison.shown = JSON.stringify(getLookSettings());
+}
+
+function stopComparison() {
+  if (!comparison) return;
+  // Going back to the look from before the compare would throw away edits made while it ran, so those are kept
+  if (comparison.mode === 'toggle' && JSON.stringify(getLookSettings()) === comparison.shown) {
+    applySettings(comparison.live);
+  }
+  comparison = null;
+  
+  document.getElementById('ab-compare').classList.remove('active');
+  document.getElementById('btn-compare-toggle').disabled = true;
+  document.getElementById('btn-compare-toggle').textContent = 'Toggle A/B';
+  document.getElementById('btn-compare').textContent = 'Start Compare';
+}
+
+document.getElementById('btn-compare').addEventListener('click', () => {
+  if (comparison) stopComparison();
+  else startComparison();
+});
+
+document.getElementById('btn-compare-toggle').addEventListener('click', () => {
+  if (!comparison || comparison.mode !== 'toggle') return;
+  comparison.showing = comparison.showing === 'a' ? 'b' : 'a';
+  const preset = comparison[comparison.showing];
+  showComparisonPreset(preset);
+  document.getElementById('btn-compare-toggle').textContent = `Showing ${comparison.showing.toUpperCase()}: ${preset.name}`;
+});
+
+// The split stills are re-rendered once the camera settles
+controls.addEventListener('start', () => {
+  if (comparison && comparison.mode === 'split') {
+    document.getElementById('ab-compare').classList.remove('active');
+  }
+});
+controls.addEventListener('end', () => {
+  if (comparison && comparison.mode === 'split') renderComparison();
+});
+window.addEventListener('resize', () => {
+  if (comparison && comparison.mode === 'split') renderComparison();
+});
+
+document.getElementById('ab-divider').addEventListener('pointerdown', (e) => {
+  const overlay = document.getElementById('ab-compare');
+  const divider = e.target;
+  divider.setPointerCapture(e.pointerId);
+  
+  const onMove = (ev) => {
+    const rect = overlay.getBoundingClientRect();
+    const split = Math.min(Math.max((ev.clientX - rect.left) / rect.width * 100, 0), 100);
+    overlay.dataset.split = split;
+    updateComparisonSplit();
+  };
+  const onUp = () => {
+    divider.removeEventListener('pointermove', onMove);
+    divider.removeEventListener('pointerup', onUp);
+  };
+  divider.addEventListener('pointermove', onMove);
+  divider.addEventListener('pointerup', onUp);
 });
 
+buildPresetList();
+
 // Load saved settings on startup
 const savedSettings = localStorage.getItem('diriyah-settings');
 if (savedSettings) {
-  try {
-    applySettings(JSON.parse(savedSettings));
-  } catch (err) {
-    console.warn('Could not load saved settings');
+  reportSettingsLoad(savedSettings);
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+// window.SceneSetup drives the editor from scripts, e.g. for automated captures:
+//
+//   await SceneSetup.ready;
+//   SceneSetup.applyPreset('Dusk');
+//   SceneSetup.setCamera({ position: [1, 0.5, 1], target: [0, 0, 0] });
+//   const png = await SceneSetup.renderImage({ width: 1920, height: 1080 });
+//
+// Events (listen with SceneSetup.on(type, e => e.detail)):
+//   progress        { url, loaded, total }   while a model or HDR downloads
+//   loaderror       { name, url, message }   the load waits in the queue for a retry
+//   modelload       { name, object }
+//   hdrload         { name }
+//   settingsload    { report }
+//   selectionchange { object, path }
+//   change          { label, direction? }    every undoable edit, undo and redo
+//   batchprogress   { done, total, name }
+//   batchdone       { blob, filename } or { error }
+
+function findObjectByPath(path) {
+  let found = null;
+  scene.traverse(o => {
+    if (!found && o !== scene && getObjectPath(o) === path) found = o;
+  });
+  return found;
+}
+
+function findBookmark(name) {
+  return cameraBookmarks.find(b => b.name === name) || null;
+}
+
+function applyPresetByName(name) {
+  const preset = lookPresets.find(p => p.name === name);
+  if (!preset) throw new Error(`No preset named "${name}"`);
+  applyLookSettings(preset.settings, `Apply preset ${preset.name}`);
+}
+
+// Missing fields keep their current value; duration 0 jumps straight to the view
+function moveCamera(view, duration = 0) {
+  const target = { ...getCameraView(), ...view };
+  if (duration > 0) flyToView(target, duration);
+  else setCameraView(target);
+}
+
+const sceneSetupAPI = {
+  // Resolves once the startup models and HDR have loaded or failed
+  ready: waitForLoads(),
+  
+  loadModel: (url, name) => loadModel(url, name),
+  loadHDR: (url, name = url.split('/').pop()) => loadHDR(url, name),
+  
+  getCurrentSettings,
+  // Validated like an imported file; returns { applied, report }
+  applySettings(settings) {
+    const result = loadSettings(settings);
+    if (result.applied) clearHistory();
+    return result;
+  },
+  applyPreset: applyPresetByName,
+  getPresets: () => lookPresets.map(p => p.name),
+  
+  // Objects are addressed by their outliner path, e.g. "DiriyahMaquette.glb/Walls"
+  getObjectPaths() {
+    const paths = [];
+    loadedModels.forEach(({ root }) => root.traverse(o => paths.push(getObjectPath(o))));
+    return paths;
+  },
+  selectObject(target) {
+    const object = typeof target === 'string' ? findObjectByPath(target) : target;
+    if (target && !object) throw new Error(`No object at "${target}"`);
+    selectObject(object || null);
+    return object || null;
+  },
+  getSelectedObject: () => selectedObject,
+  
+  getCamera: getCameraView,
+  setCamera: moveCamera,
+  getBookmarks: () => cameraBookmarks.map(b => b.name),
+  flyToBookmark(name, duration = 1000) {
+    const bookmark = findBookmark(name);
+    if (!bookmark) throw new Error(`No bookmark named "${name}"`);
+    moveCamera(bookmark, duration);
+  },
+  
+  // Resolves to a zip Blob of PNGs, see the batch job format in Batch Rendering
+  runBatch: runBatchRender,
+  
+  // Resolves to a PNG Blob; size defaults to the Render tab's resolution
+  renderImage({ width, height, supersample = 1, transparent = false } = {}) {
+    const size = getRenderSize();
+    return canvasToBlob(renderImage(width || size.width, height || size.height, { supersample, transparent }));
+  },
+  
+  undo,
+  redo,
+  
+  on: (type, listener) => sceneEvents.addEventListener(type, listener),
+  off: (type, listener) => sceneEvents.removeEventListener(type, listener)
+};
+
+window.SceneSetup = sceneSetupAPI;
+
+// Deep-link state that depends on settings: an optional settings file, then a preset and a bookmark
+async function applyURLState(params) {
+  if (params.has('settings')) {
+    try {
+      const response = await fetch(params.get('settings'));
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      if (reportSettingsLoad(await response.text())) clearHistory();
+    } catch (err) {
+      console.warn('Could not load settings from URL:', err.message);
+    }
+  }
+  if (params.has('preset')) {
+    try {
+      applyPresetByName(params.get('preset'));
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+  if (params.has('bookmark')) {
+    const bookmark = findBookmark(params.get('bookmark'));
+    if (bookmark) moveCamera(bookmark);
+    else console.warn(`No bookmark named "${params.get('bookmark')}"`);
   }
 }
+
+applyURLState(urlParams);
+
+// ?batch=job.json renders the job once the scene is ready and downloads the zip (for headless runs)
+if (urlParams.has('batch')) {
+  sceneSetupAPI.ready
+    .then(() => fetch(urlParams.get('batch')))
+    .then(response => {
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      return response.json();
+    })
+    .then(runBatchJob)
+    .catch(err => {
+      setBatchProgress('Could not load batch job: ' + err.message);
+      emitSceneEvent('batchdone', { error: err.message });
+    });
+}
+
+// Only the live keys (settings, preset, bookmark); changing models or hdr needs a reload
+window.addEventListener('hashchange', () => applyURLState(getURLParams()));
+
 animate();
\ No newline at end of file